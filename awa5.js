@@ -12,6 +12,35 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/**
+ * Dialects of the language understood by the interpreter.
+ *
+ * `AWA5JS` is the dialect of this implementation, described in the
+ * README; `ORIGINAL` follows the original specifications.
+ */
+const DIALECTS = {
+    AWA5JS: 'awa5js',
+    ORIGINAL: 'original',
+};
+
+/**
+ * Default limits of the interpreter.
+ *
+ * - `operations`: after how many operations a program is stopped;
+ * - `abyssDepth`: how many bubbles the abyss can hold;
+ * - `bubbleSize`: how many values a double bubble can hold;
+ * - `wallClockMs`: how many milliseconds a program can take,
+ *   including the time spent waiting for input or for a full writer.
+ *
+ * A limit set to `Infinity` is not enforced.
+ */
+const LIMITS = {
+    operations: 10000,
+    abyssDepth: Infinity,
+    bubbleSize: Infinity,
+    wallClockMs: Infinity,
+};
+
 /**
  * Operations recognized by the interpreter.
  */
@@ -72,11 +101,50 @@ const OPCODES = {
      *
      * @param trace interpreter stack trace
      * @param opcode the opcode to test
+     * @param dialect the dialect of the language, `'awa5js'` by default
      * @returns false if it is not parameterized
      */
-    parameterized: (trace, opcode) => {
+    parameterized: (trace, opcode, dialect) => {
         trace.push('OPCODES.parameterized');
-        let b = false;
+        const b = (0 !== OPCODES.bits(trace, opcode, dialect));
+        trace.pop();
+        return b;
+    },
+
+    /**
+     * Tell how many bits the parameter of an opcode takes.
+     *
+     * In this implementation every parameter takes 8 bits; in the
+     * original dialect only `BLO` takes 8 bits, the others take 5,
+     * and comparisons take no parameter at all.
+     *
+     * @param trace interpreter stack trace
+     * @param opcode the opcode to test
+     * @param dialect the dialect of the language, `'awa5js'` by default
+     * @returns the number of bits, 0 if it is not parameterized
+     */
+    bits: (trace, opcode, dialect) => {
+        trace.push('OPCODES.bits');
+        let b = 0;
+
+        if (DIALECTS.ORIGINAL === dialect) {
+            switch (opcode) {
+            case OPCODES.BLO:
+                b = 8;
+                break;
+            case OPCODES.SBM:
+            case OPCODES.SRN:
+            case OPCODES.LBL:
+            case OPCODES.JMP:
+                b = 5;
+                break;
+            default:
+                break;
+            }
+
+            trace.pop();
+            return b;
+        }
 
         switch (opcode) {
         case OPCODES.BLO:
@@ -88,7 +156,7 @@ const OPCODES = {
         case OPCODES.LSS:
         case OPCODES.GR8:
         case OPCODES.EQZ:
-            b = true;
+            b = 8;
             break;
         default:
             break;
@@ -98,6 +166,27 @@ const OPCODES = {
         return b;
     },
 
+    /**
+     * Tell whether an opcode is known to the interpreter.
+     *
+     * @param trace interpreter stack trace
+     * @param opcode the opcode to test
+     * @param dialect the dialect of the language, `'awa5js'` by default
+     * @returns false if the interpreter would reject the opcode
+     */
+    valid: (trace, opcode, dialect) => {
+        trace.push('OPCODES.valid');
+        let b = (`${opcode}` !== OPCODES.name(opcode));
+
+        if (DIALECTS.ORIGINAL === dialect && OPCODES.EQZ === opcode) {
+            // EQZ is an extension of this implementation
+            b = false;
+        }
+
+        trace.pop();
+        return b;
+    },
+
     /**
      * Get a human-readable representation of the opcode.
      *
@@ -143,73 +232,170 @@ const OPCODES = {
 
         return n;
     },
+
+    /**
+     * Get the opcode associated with a human-readable name.
+     *
+     * This is the inverse of `name`: only names of recognized
+     * opcodes are accepted, and the comparison ignores case.
+     *
+     * @param name the name of the opcode
+     * @returns the opcode, or undefined if the name is not recognized
+     */
+    lookup: (name) => {
+        const upper = `${name}`.toUpperCase();
+
+        for (let opcode=0; opcode<32; ++opcode) {
+            const n = OPCODES.name(opcode);
+            if (n === `${opcode}`) {
+                // not a recognized opcode
+                continue;
+            }
+
+            if (n === upper) {
+                return opcode;
+            }
+        }
+
+        return undefined;
+    },
+};
+
+/**
+ * A value read from the source, along with its position.
+ *
+ * Positions refer to the original source, comments and formatting
+ * included, so that they can be shown to users as they wrote them.
+ */
+class Token {
+    /**
+     * @param value the numeric value of the token
+     * @param source the source the token was read from
+     * @param start offset of the first character of the token
+     * @param end offset following the last character of the token
+     * @param line line of the first character, starting from 1
+     * @param column column of the first character, starting from 1
+     */
+    constructor(value, source, start, end, line, column) {
+        this.value = value;
+        this.source = source;
+        this.start = start;
+        this.end = end;
+        this.line = line;
+        this.column = column;
+    }
+
+    /**
+     * Describe the position of the token.
+     *
+     * @returns a string like `line 1, column 4`
+     */
+    where() {
+        return `line ${this.line}, column ${this.column}`;
+    }
+
+    /**
+     * Extract the line of source holding the token.
+     *
+     * The line is followed by a second line marking the token with
+     * carets; tokens spanning multiple lines are marked only up to
+     * the end of the first line.
+     *
+     * @returns a snippet of the source
+     */
+    excerpt() {
+        const from = this.start - (this.column - 1);
+        let to = this.source.indexOf('\n', this.start);
+        if (-1 === to) {
+            to = this.source.length;
+        }
+
+        const text = this.source.substring(from, to).replace(/\r$/, '');
+        const gutter = `${this.line} | `;
+        // keep tabs so the carets line up with the text above
+        const padding = text.substring(0, this.column - 1).replace(/[^\t]/g, ' ');
+        const length = Math.max(1, Math.min(this.end, from + text.length) - this.start);
+
+        return `${gutter}${text}\n${' '.repeat(gutter.length - 2)}| ${padding}${'^'.repeat(length)}`;
+    }
 };
 
 /**
  * Transform a string into a sequence of tokens.
  *
- * Tokens are just numbers which the interpreter will then execute as
- * much as possible.
+ * Each token holds a number, which the interpreter will then execute
+ * as much as possible, and its position within the input.
+ *
+ * The input is read exactly once, one character at a time: anything
+ * that cannot be part of an awawa is discarded, whitespace is
+ * squeezed and the remaining characters are matched against the
+ * known bits, so the time taken grows linearly with the input.
+ *
+ * Arguments take 8 bits, unless the original dialect is requested:
+ * see `OPCODES.bits` for the details.
  *
  * @param trace interpreter stack trace
  * @param input the string to parse
+ * @param dialect the dialect of the language, `'awa5js'` by default
  * @returns a sequence of tokens
  * @throws a syntax error if the input is malformed
  */
-const parser = function (trace, input) {
+const parser = function (trace, input, dialect) {
     trace.push('parser');
 
-    // sanitize
-    // warning: slow as molasses especially on large strings
-    const cleaned = input
-          .replace(/[^aw~\s]+/gi, '')
-          .replace(/[\n\s]+/g, ' ')
-          .toLocaleLowerCase();
+    // parsed tokens
+    const tokens = [];
 
-    // find start of block
-    let cursor = cleaned.search(/awa\s*/);
-    if (-1 === cursor) {
-        throw new SyntaxError('missing start of block');
+    // characters waiting to be matched as bits, at most 4 (" awa")
+    // each character is kept along with its position in the input
+    const pending = [];
+    for (let i=0; i<4; ++i) {
+        pending.push({ c: 0, offset: 0, line: 0, column: 0 });
     }
-    cursor = cursor + 3;
+    let count = 0;
 
-    // parsed tokens
-    const tokens = [];
+    // build an error pointing at the given pending character
+    const malformed = (k) => {
+        // skip the space in front of the first bit
+        const p = (32 === pending[k].c && k + 1 < count) ? pending[k + 1] : pending[k];
+        const where = new Token(null, input, p.offset, p.offset + 1, p.line, p.column);
+
+        const error = new SyntaxError(`malformed input (${where.where()})\n${where.excerpt()}`);
+        error.line = where.line;
+        error.column = where.column;
+        return error;
+    };
 
     // state for the machine
+    let started = false;
+    let matched = 0;
     let bits = 0;
     let target = 5;
     let value = 0;
     let parameter = false;
+    let first = null;
 
-    // read tokens
-    // warning: also slow, but doing things properly is too much code
-    while (cursor < cleaned.length - 1) {
-        if ('wa' === cleaned.substring(cursor, cursor + 2)) {
-            // wa is 1
-            value = value << 1;
-            value = value + 1;
-            cursor = cursor + 2;
-        } else if (' awa' === cleaned.substring(cursor, cursor + 4)) {
-            // awa is 0
-            // mind the space in front
-            value = value << 1;
-            cursor = cursor + 4;
-        } else if (' ~wa' === cleaned.substring(cursor, cursor + 4) && 0 === bits) {
-            // ~wa is -1
-            // mind the space in front
-            // it can appear only as the first bit; doesn't make sense in other places
+    // add one bit to the current token, spanning the given characters
+    const bit = (b, from, to) => {
+        if (-1 === b) {
             value = -1;
-            cursor = cursor + 4;
         } else {
-            throw new SyntaxError(`malformed input (${cursor})`);
+            value = value << 1;
+            value = value + b;
+        }
+
+        if (0 === bits) {
+            first = pending[from];
+            first = new Token(null, input, first.offset, 0, first.line, first.column);
         }
 
         bits = bits + 1;
 
         if (bits >= target) {
             // add token to list
-            tokens.push(value);
+            first.value = value;
+            first.end = pending[to].offset + 1;
+            tokens.push(first);
 
             // reset machine state
             bits = 0;
@@ -217,29 +403,155 @@ const parser = function (trace, input) {
                 target = 5;
                 value = 0;
                 parameter = false;
-                continue;
+                return;
             }
 
-            switch (OPCODES.get(trace, value)) {
-            case OPCODES.BLO:
-            case OPCODES.SBM:
-            case OPCODES.SRN:
-            case OPCODES.LBL:
-            case OPCODES.JMP:
-            case OPCODES.EQL:
-            case OPCODES.LSS:
-            case OPCODES.GR8:
-            case OPCODES.EQZ:
-                // parameterized opcode
+            const width = OPCODES.bits(trace, OPCODES.get(trace, value), dialect);
+            if (0 !== width) {
                 parameter = true;
-                target = 8;
-                break;
-            default:
-                break;
+                target = width;
             }
 
             value = 0;
         }
+    };
+
+    // drop the given number of characters from the pending ones
+    const consume = (n) => {
+        for (let i=0; i<count-n; ++i) {
+            const p = pending[i];
+            pending[i] = pending[i + n];
+            pending[i + n] = p;
+        }
+        count = count - n;
+    };
+
+    // match pending characters against the known bits
+    // characters are codes: 97 is a, 119 is w, 126 is ~ and 32 is space
+    const match = () => {
+        if (count < 2) {
+            return;
+        }
+
+        const c0 = pending[0].c;
+        const c1 = pending[1].c;
+
+        if (119 === c0) {
+            // wa is 1
+            if (97 !== c1) {
+                throw malformed(0);
+            }
+            bit(1, 0, 1);
+            consume(2);
+        } else if (32 === c0) {
+            // awa is 0 and ~wa is -1, mind the space in front
+            // ~wa can appear only as the first bit; doesn't make sense in other places
+            if (97 !== c1 && (126 !== c1 || 0 !== bits)) {
+                throw malformed(0);
+            }
+            if (count < 3) {
+                return;
+            }
+            if (119 !== pending[2].c) {
+                throw malformed(0);
+            }
+            if (count < 4) {
+                return;
+            }
+            if (97 !== pending[3].c) {
+                throw malformed(0);
+            }
+            bit((97 === c1) ? 0 : -1, 1, 3);
+            consume(4);
+        } else {
+            throw malformed(0);
+        }
+    };
+
+    let line = 1;
+    let beginning = 0;
+    let space = false;
+
+    for (let i=0; i<input.length; ++i) {
+        let c = input.charCodeAt(i);
+
+        switch (c) {
+        case 65: // A
+        case 87: // W
+            c = c + 32;
+            break;
+        case 97: // a
+        case 119: // w
+        case 126: // ~
+            break;
+        case 9: // \t
+        case 10: // \n
+        case 11: // \v
+        case 12: // \f
+        case 13: // \r
+        case 32: // space
+            c = 32;
+            break;
+        default:
+            // warning: slow, but non-ascii whitespace is rare
+            c = (c > 127 && /\s/.test(input[i])) ? 32 : 0;
+            break;
+        }
+
+        // position of the character, before moving to the next line
+        const row = line;
+        const column = i - beginning + 1;
+        if (10 === input.charCodeAt(i)) {
+            line = line + 1;
+            beginning = i + 1;
+        }
+
+        if (0 === c) {
+            // not part of an awawa, discard
+            continue;
+        }
+
+        if (32 === c) {
+            // whitespace is squeezed into a single space
+            if (true === space) {
+                continue;
+            }
+            space = true;
+        } else {
+            space = false;
+        }
+
+        if (false === started) {
+            // find start of block
+            if (97 === c) {
+                matched = (2 === matched) ? 3 : 1;
+            } else if (119 === c && 1 === matched) {
+                matched = 2;
+            } else {
+                matched = 0;
+            }
+
+            started = (3 === matched);
+            continue;
+        }
+
+        const p = pending[count];
+        p.c = c;
+        p.offset = i;
+        p.line = row;
+        p.column = column;
+        count = count + 1;
+
+        match();
+    }
+
+    if (false === started) {
+        throw new SyntaxError('missing start of block');
+    }
+
+    // leftovers are fine only if they are a single character
+    if (count >= 2) {
+        throw malformed(0);
     }
 
     trace.pop();
@@ -247,73 +559,680 @@ const parser = function (trace, input) {
 };
 
 /**
- * Error thrown during opcode execution.
+ * Transform a sequence of mnemonics into AWA5.0 source.
+ *
+ * Each line holds exactly one instruction: the name of the opcode,
+ * as given by `OPCODES.name`, optionally followed by its argument,
+ * e.g. `BLO 5`. Empty lines are ignored, as is everything following
+ * a `;` so that listings can be commented.
+ *
+ * Opcodes take 5 bits and arguments take the bits given by
+ * `OPCODES.bits`, the same widths expected by `parser`; negative
+ * arguments start with `~wa`.
+ *
+ * @param trace interpreter stack trace
+ * @param input the mnemonics to assemble
+ * @param dialect the dialect of the language, `'awa5js'` by default
+ * @returns the AWA5.0 source
+ * @throws a syntax error if an instruction is malformed
+ * @throws a range error if an argument does not fit its bits
  */
-class OpcodeError extends Error {
-    /**
-     * @param opcode the opcode generating the error
-     * @param message the user-facing message
-     * @param ...params rest of arguments
-     */
-    constructor(opcode, message, ...params) {
-        super(`(${OPCODES.name(opcode)}) ${message}`, ...params);
-        this.name = 'OpcodeError';
+const assembler = function (trace, input, dialect) {
+    trace.push('assembler');
+
+    // write a value as a sequence of awawas
+    // a leading ~wa is -1 and the following bits are added to it,
+    // so negative values are effectively in two's complement
+    const encode = (value, width) => {
+        let out = '';
+        let v = value;
+        let remaining = width;
+
+        if (value < 0) {
+            out = ' ~wa';
+            remaining = width - 1;
+            v = value + (1 << remaining);
+        }
+
+        for (let i=remaining-1; i>=0; --i) {
+            out = out + ((0 === ((v >> i) & 1)) ? ' awa' : 'wa');
+        }
+
+        return out;
+    };
+
+    let output = 'awa';
+
+    const lines = `${input}`.split('\n');
+    for (let i=0; i<lines.length; ++i) {
+        const line = i + 1;
+        const fields = lines[i].replace(/;.*$/, '').trim().split(/\s+/);
+        if ('' === fields[0]) {
+            // empty line or comment
+            continue;
+        }
+
+        const opcode = OPCODES.lookup(fields[0]);
+        if (undefined === opcode || false === OPCODES.valid(trace, opcode, dialect)) {
+            throw new SyntaxError(`unknown mnemonic '${fields[0]}' (line ${line})`);
+        }
+
+        const name = OPCODES.name(opcode);
+        const width = OPCODES.bits(trace, opcode, dialect);
+        const parameterized = (0 !== width);
+        if (true === parameterized && fields.length < 2) {
+            throw new SyntaxError(`missing argument for ${name} (line ${line})`);
+        }
+        if ((false === parameterized && fields.length > 1) || fields.length > 2) {
+            throw new SyntaxError(`unexpected argument for ${name} (line ${line})`);
+        }
+
+        output = output + encode(opcode, 5);
+
+        if (true === parameterized) {
+            if (false === /^[-+]?\d+$/.test(fields[1])) {
+                throw new SyntaxError(`invalid argument '${fields[1]}' for ${name} (line ${line})`);
+            }
+
+            // e.g. 8 bits go from -128, with a leading ~wa, to 255
+            const argument = parseInt(fields[1], 10);
+            if (argument < -(1 << (width - 1)) || argument >= (1 << width)) {
+                throw new RangeError(`argument ${argument} out of range (line ${line})`);
+            }
+
+            output = output + encode(argument, width);
+        }
     }
+
+    trace.pop();
+    return output;
 };
 
 /**
- * Error thrown when certain limits are exeeded.
+ * Transform AWA5.0 source into a human-readable listing.
+ *
+ * The listing has one instruction per line, made of the index of the
+ * token within the parsed sequence, the name of the opcode, its
+ * argument if any and the portion of the source it was read from.
+ *
+ * Parameterized opcodes missing their argument, which can happen only
+ * at the very end of a program, show `?` in place of the argument.
+ *
+ * @param trace interpreter stack trace
+ * @param input the source to disassemble
+ * @param dialect the dialect of the language, `'awa5js'` by default
+ * @returns the listing, lines separated by newlines
+ * @throws a syntax error if the input is malformed
  */
-class LimitError extends Error {
-    /**
-     * @param message the user-facing message
-     * @param ...params rest of arguments 
-     */
-    constructor(message, ...params) {
-        super(message, ...params);
-        this.name = 'LimitError';
+const disassembler = function (trace, input, dialect) {
+    trace.push('disassembler');
+
+    const tokens = parser(trace, input, dialect);
+
+    const lines = [];
+    for (let i=0; i<tokens.length; ++i) {
+        const opcode = OPCODES.get(trace, tokens[i].value);
+        const name = OPCODES.name(opcode);
+
+        let argument = '';
+        let end = tokens[i].end;
+        if (OPCODES.parameterized(trace, opcode, dialect)) {
+            if (undefined === tokens[i + 1]) {
+                argument = '?';
+            } else {
+                argument = `${tokens[i + 1].value}`;
+                end = tokens[i + 1].end;
+            }
+        }
+
+        // squeeze the source so every instruction fits in one line
+        const source = input.substring(tokens[i].start, end).replace(/\s+/g, ' ');
+
+        lines.push(`${`${i}`.padStart(6)}  ${name.padEnd(3)} ${argument.padStart(4)}  ${source}`);
+
+        if ('' !== argument) {
+            i = i + 1;
+        }
     }
+
+    trace.pop();
+    return lines.join('\n');
 };
 
 /**
- * Wrapper around a value.
+ * Write the mnemonics of a program printing the given text.
  *
- * The interpreter operates on bubbles not raw values, as that is the
- * language semantics.
+ * Characters are pushed in order with `BLO`, then surrounded by
+ * `SRN` into a double bubble printed at once by `PRN`. As `SRN` takes
+ * a limited number of bubbles, 255 or 31 in the original dialect,
+ * longer texts are split in parts surrounded on their own, which
+ * print as a whole when nested.
+ *
+ * To keep the program short a character, or a part, equal to the one
+ * just pushed is duplicated with `DPL`, which takes less than half
+ * the awawas of `BLO`.
+ *
+ * @param trace interpreter stack trace
+ * @param text the text to print
+ * @param dialect the dialect of the language, `'awa5js'` by default
+ * @param charset the character set of the text
+ * @returns the mnemonics, one instruction per line
+ * @throws a range error if a character is not in the set, or if its
+ *   value does not fit the argument of `BLO`
  */
-class Bubble {
-    /**
-     * @param ...values initial values of the bubble
-     */
-    constructor(...values) {
-        this.backing = [...values];
+const printer = function (trace, text, dialect, charset) {
+    trace.push('printer');
+
+    const values = charset.encode(text);
+    const widest = (1 << OPCODES.bits(trace, OPCODES.BLO, dialect)) - 1;
+    const most = (1 << OPCODES.bits(trace, OPCODES.SRN, dialect)) - 1;
+
+    for (let i=0; i<values.length; ++i) {
+        if (values[i] > widest) {
+            throw new RangeError(`character '${charset.letter(values[i])}' does not fit in BLO`);
+        }
     }
 
-    /**
-     * Get the raw value stored inside the bubble.
-     *
-     * If the bubble has multiple values, these values will be
-     * returned within a new array.
-     *
-     * @returns a value, 0 by default
-     */
-    value() {
-        if (this.backing.length > 1) {
-            // clone to avoid phantom edits
-            // it's obviously expensive
-            return [...this.backing];
+    const lines = [];
+
+    // key of the bubble on top of the abyss, if known
+    let top = null;
+
+    // push a sequence of values as a single bubble
+    const push = (sequence) => {
+        const key = sequence.join(',');
+        if (key === top) {
+            lines.push('DPL');
+            return;
         }
 
-        if (0 === this.backing.length) {
-            // ensure we always have a value
-            // 0 is not necessarily the correct value
-            return 0;
+        if (1 === sequence.length) {
+            lines.push(`BLO ${sequence[0]}`);
+        } else if (sequence.length <= most) {
+            top = null;
+            for (let i=0; i<sequence.length; ++i) {
+                push([sequence[i]]);
+            }
+            lines.push(`SRN ${sequence.length}`);
+        } else {
+            const size = Math.ceil(sequence.length / most);
+            let parts = 0;
+            top = null;
+            for (let i=0; i<sequence.length; i+=size) {
+                push(sequence.slice(i, i + size));
+                parts = parts + 1;
+            }
+            lines.push(`SRN ${parts}`);
         }
 
-        return this.backing[0];
+        top = key;
+    };
+
+    if (0 !== values.length) {
+        push(values);
+        lines.push('PRN');
     }
 
-    /**
+    trace.pop();
+    return lines.join('\n');
+};
+
+/**
+ * Inspect a sequence of tokens without executing it.
+ *
+ * The linter looks for mistakes the interpreter would either ignore
+ * or report only when it gets there:
+ *
+ * - invalid opcodes and parameterized opcodes without argument;
+ * - jumps and comparisons to labels never defined, which the
+ *   interpreter silently ignores;
+ * - labels defined more than once, where only the last one counts;
+ * - code that cannot be reached from the start of the program;
+ * - opcodes that will surely run out of bubbles.
+ *
+ * To find the last two the linter follows every path of the program,
+ * keeping track of the most bubbles the abyss can hold along the way
+ * and of which ones are surely single; double bubbles can be split by
+ * `POP` into any number of bubbles, in which case the linter stops
+ * making assumptions.
+ *
+ * Each diagnostic is an object with a `severity`, either `'error'` or
+ * `'warning'`, a `message`, and the `index`, `line` and `column` of
+ * the offending token.
+ *
+ * In the original dialect comparisons take no label: they skip the
+ * following instruction instead, and are followed accordingly.
+ *
+ * @param trace interpreter stack trace
+ * @param tokens the sequence of tokens
+ * @param dialect the dialect of the language, `'awa5js'` by default
+ * @returns array of diagnostics, sorted by position
+ */
+const linter = function (trace, tokens, dialect) {
+    trace.push('linter');
+    const diagnostics = [];
+
+    const report = (severity, index, message) => {
+        const token = tokens[index];
+        const opcode = OPCODES.name(OPCODES.get(trace, token.value));
+        diagnostics.push({
+            severity: severity,
+            message: `(${opcode}) ${message}`,
+            index: index,
+            line: token.line,
+            column: token.column,
+        });
+    };
+
+    // find instructions and labels, the same way the interpreter does
+    const instructions = [];
+    const labels = [];
+    const definitions = [];
+    for (let i=0; i<tokens.length; ++i) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        instructions.push(i);
+
+        if (OPCODES.parameterized(trace, code, dialect)) {
+            if (undefined === tokens[i + 1]) {
+                report('error', i, 'not enough arguments');
+            } else if (OPCODES.LBL === code) {
+                const id = tokens[i + 1].value;
+                labels[id] = i + 1;
+
+                if (undefined === definitions[id]) {
+                    definitions[id] = [];
+                }
+                definitions[id].push(i);
+            }
+
+            i = i + 1;
+        }
+    }
+
+    for (let id in definitions) {
+        const defined = definitions[id];
+        const last = tokens[defined[defined.length - 1]];
+
+        for (let k=0; k<defined.length-1; ++k) {
+            report('warning', defined[k], `label ${id} is defined again at ${last.where()}, jumps will go there`);
+        }
+    }
+
+    // where each instruction may continue; undefined labels fall through
+    const successors = (i) => {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const next = i + (OPCODES.parameterized(trace, code, dialect) ? 2 : 1);
+        const argument = tokens[i + 1];
+
+        if (false === OPCODES.valid(trace, code, dialect)) {
+            // invalid opcodes stop the interpreter
+            return [];
+        }
+
+        if (DIALECTS.ORIGINAL === dialect) {
+            switch (code) {
+            case OPCODES.EQL:
+            case OPCODES.LSS:
+            case OPCODES.GR8:
+                // either continue or skip the next instruction
+                if (next < tokens.length) {
+                    const skipped = OPCODES.get(trace, tokens[next].value);
+                    return [next, next + (OPCODES.parameterized(trace, skipped, dialect) ? 2 : 1)];
+                }
+                return [next];
+            default:
+                break;
+            }
+        }
+
+        switch (code) {
+        case OPCODES.TRM:
+            return [];
+        case OPCODES.JMP:
+            if (undefined !== argument && undefined !== labels[argument.value]) {
+                return [labels[argument.value] + 1];
+            }
+            return [next];
+        case OPCODES.EQL:
+        case OPCODES.LSS:
+        case OPCODES.GR8:
+        case OPCODES.EQZ:
+            if (undefined !== argument && undefined !== labels[argument.value]) {
+                return [next, labels[argument.value] + 1];
+            }
+            return [next];
+        default:
+            break;
+        }
+
+        return [next];
+    };
+
+    for (let i of instructions) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const argument = tokens[i + 1];
+
+        if (false === OPCODES.valid(trace, code, dialect)) {
+            report('error', i, 'invalid opcode');
+            continue;
+        }
+
+        if (DIALECTS.ORIGINAL === dialect && false === OPCODES.parameterized(trace, code, dialect)) {
+            // comparisons do not refer to labels
+            continue;
+        }
+
+        switch (code) {
+        case OPCODES.JMP:
+        case OPCODES.EQL:
+        case OPCODES.LSS:
+        case OPCODES.GR8:
+        case OPCODES.EQZ:
+            if (undefined !== argument && undefined === labels[argument.value]) {
+                report('warning', i, `label ${argument.value} is never defined, the jump is ignored`);
+            }
+            break;
+        default:
+            break;
+        }
+    }
+
+    // the abyss as seen by the linter: the most bubbles it can hold and
+    // whether the topmost ones are surely single (true) or maybe double
+    const single = (abyss) => ((abyss.shapes.length > 0) ? abyss.shapes[abyss.shapes.length - 1] : false);
+    const push = (abyss, shape) => {
+        abyss.depth = abyss.depth + 1;
+        abyss.shapes.push(shape);
+    };
+    const pop = (abyss) => {
+        const shape = single(abyss);
+        abyss.depth = abyss.depth - 1;
+        abyss.shapes.pop();
+        return shape;
+    };
+
+    // how many bubbles an instruction needs and how it changes the abyss
+    const effect = (i, abyss) => {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const argument = (undefined === tokens[i + 1]) ? 0 : tokens[i + 1].value;
+
+        if (false === OPCODES.valid(trace, code, dialect)) {
+            return 0;
+        }
+
+        switch (code) {
+        case OPCODES.PRN:
+        case OPCODES.PR1:
+            pop(abyss);
+            return 1;
+        case OPCODES.RED:
+            push(abyss, false);
+            return 0;
+        case OPCODES.R3D:
+        case OPCODES.BLO:
+            push(abyss, true);
+            return 0;
+        case OPCODES.SBM:
+            // the topmost bubble goes down, bubbles are shuffled
+            abyss.shapes = [];
+            return 1;
+        case OPCODES.POP:
+            if (false === pop(abyss)) {
+                // a double bubble can be split in any number of bubbles
+                abyss.depth = Infinity;
+                abyss.shapes = [];
+            }
+            return 1;
+        case OPCODES.DPL: {
+            const shape = single(abyss);
+            push(abyss, shape);
+            return 1;
+        }
+        case OPCODES.SRN:
+            for (let k=0; k<argument; ++k) {
+                pop(abyss);
+            }
+            push(abyss, false);
+            return argument;
+        case OPCODES.MRG:
+        case OPCODES.DIV:
+            pop(abyss);
+            pop(abyss);
+            push(abyss, false);
+            return 2;
+        case OPCODES.DD4:
+        case OPCODES.SUB:
+        case OPCODES.MUL: {
+            const shape = pop(abyss) && pop(abyss);
+            push(abyss, shape);
+            return 2;
+        }
+        case OPCODES.CNT:
+            push(abyss, true);
+            return 1;
+        case OPCODES.EQL:
+        case OPCODES.LSS:
+        case OPCODES.GR8:
+            return 2;
+        case OPCODES.EQZ:
+            return 1;
+        default:
+            break;
+        }
+
+        return 0;
+    };
+
+    // merge what is known about the abyss coming from different paths
+    const join = (a, b) => {
+        const length = Math.min(a.shapes.length, b.shapes.length);
+        const shapes = [];
+        for (let k=length; k>0; --k) {
+            shapes.push(a.shapes[a.shapes.length - k] && b.shapes[b.shapes.length - k]);
+        }
+
+        return { depth: Math.max(a.depth, b.depth), shapes: shapes };
+    };
+
+    const same = (a, b) => (a.depth === b.depth
+                            && a.shapes.length === b.shapes.length
+                            && a.shapes.every((e, k) => (e === b.shapes[k])));
+
+    // follow every path from the start of the program
+    const states = [];
+    const visits = [];
+    const failing = [];
+    const pending = [];
+    if (tokens.length > 0) {
+        states[0] = { depth: 0, shapes: [] };
+        pending.push(0);
+    }
+
+    while (pending.length > 0) {
+        const i = pending.pop();
+        const abyss = { depth: states[i].depth, shapes: [...states[i].shapes] };
+
+        const needed = effect(i, abyss);
+        if (needed > states[i].depth) {
+            // the interpreter stops here on every path
+            failing[i] = needed;
+            continue;
+        }
+
+        for (let next of successors(i)) {
+            if (next >= tokens.length) {
+                continue;
+            }
+
+            const incoming = { depth: Math.max(abyss.depth, 0), shapes: abyss.shapes };
+            const merged = (undefined === states[next]) ? incoming : join(states[next], incoming);
+            if (undefined !== states[next] && same(merged, states[next])) {
+                continue;
+            }
+
+            // loops growing the abyss would never settle, give up on them
+            visits[next] = (visits[next] || 0) + 1;
+            if (visits[next] > 8 && (undefined === states[next] || merged.depth > states[next].depth)) {
+                merged.depth = Infinity;
+            }
+
+            states[next] = merged;
+            pending.push(next);
+        }
+    }
+
+    // report only the first of many unreachable instructions, and
+    // nothing after an instruction that surely fails
+    let reachable = true;
+    for (let i of instructions) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const argument = tokens[i + 1];
+
+        if (undefined === states[i]) {
+            if (OPCODES.LBL === code && undefined !== argument && labels[argument.value] === i + 1) {
+                // jumps land after the label, which is not unreachable itself
+                continue;
+            }
+
+            if (true === reachable) {
+                report('warning', i, 'unreachable code');
+            }
+            reachable = false;
+        } else if (undefined !== failing[i]) {
+            report('error', i, `not enough bubbles, needs ${failing[i]} but at most ${states[i].depth} available`);
+            reachable = false;
+        } else {
+            reachable = true;
+        }
+    }
+
+    diagnostics.sort((a, b) => (a.index - b.index));
+
+    trace.pop();
+    return diagnostics;
+};
+
+/**
+ * Error thrown during opcode execution.
+ */
+class OpcodeError extends Error {
+    /**
+     * @param token the token of the opcode generating the error
+     * @param message the user-facing message
+     * @param ...params rest of arguments
+     */
+    constructor(token, message, ...params) {
+        const opcode = OPCODES.get([], token.value);
+        super(`(${OPCODES.name(opcode)}) ${message} (${token.where()})\n${token.excerpt()}`, ...params);
+        this.name = 'OpcodeError';
+        this.opcode = opcode;
+        this.line = token.line;
+        this.column = token.column;
+
+        // index of the token, set by the interpreter
+        this.cursor = null;
+    }
+};
+
+/**
+ * Error thrown when certain limits are exeeded.
+ */
+class LimitError extends Error {
+    /**
+     * @param limit the name of the limit, as given in the options
+     * @param message the user-facing message
+     * @param token the token being executed when the limit was hit
+     * @param ...params rest of arguments 
+     */
+    constructor(limit, message, token, ...params) {
+        super(`${message} (${token.where()})\n${token.excerpt()}`, ...params);
+        this.name = 'LimitError';
+        this.limit = limit;
+        this.opcode = OPCODES.get([], token.value);
+        this.line = token.line;
+        this.column = token.column;
+
+        // index of the token, set by the interpreter
+        this.cursor = null;
+    }
+};
+
+/**
+ * Error thrown when a program is stopped by an abort signal.
+ */
+class AbortError extends Error {
+    /**
+     * @param cursor the index of the token about to be executed
+     * @param token the token about to be executed, if any
+     * @param ...params rest of arguments
+     */
+    constructor(cursor, token, ...params) {
+        super((undefined === token) ? 'aborted' : `aborted (${token.where()})\n${token.excerpt()}`, ...params);
+        this.name = 'AbortError';
+        this.cursor = cursor;
+        this.line = (undefined === token) ? null : token.line;
+        this.column = (undefined === token) ? null : token.column;
+    }
+};
+
+/**
+ * Error thrown when a program running in a worker is out of time.
+ */
+class TimeoutError extends Error {
+    /**
+     * @param timeout the milliseconds the program was given
+     * @param ...params rest of arguments
+     */
+    constructor(timeout, ...params) {
+        super(`stopped after ${timeout} ms`, ...params);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+};
+
+/**
+ * Wrapper around a value.
+ *
+ * The interpreter operates on bubbles not raw values, as that is the
+ * language semantics.
+ *
+ * Double bubbles can hold other double bubbles, nested at any depth:
+ * single bubbles are held as their plain value, double bubbles as
+ * they are.
+ */
+class Bubble {
+    /**
+     * @param ...values initial values of the bubble
+     */
+    constructor(...values) {
+        this.backing = [...values];
+    }
+
+    /**
+     * Get the raw value stored inside the bubble.
+     *
+     * If the bubble has multiple values, these values will be
+     * returned within a new array.
+     *
+     * @returns a value, 0 by default
+     */
+    value() {
+        if (this.backing.length > 1) {
+            // clone to avoid phantom edits
+            // it's obviously expensive
+            return [...this.backing];
+        }
+
+        if (0 === this.backing.length) {
+            // ensure we always have a value
+            // 0 is not necessarily the correct value
+            return 0;
+        }
+
+        return this.backing[0];
+    }
+
+    /**
      * Merge the given bubble's contents inside this bubble.
      *
      * @param bubble the bubble to merge
@@ -322,22 +1241,39 @@ class Bubble {
     merge(bubble) {
         const v = bubble.value();
 
-        try {
+        if (Array.isArray(v)) {
             this.backing.unshift(...v);
-        } catch {
+        } else {
             this.backing.unshift(v);
         }
 
         return this;
     }
 
+    /**
+     * Put the given bubble inside this bubble, before the others.
+     *
+     * Unlike `merge`, a double bubble is kept whole, nested inside
+     * this bubble.
+     *
+     * @param bubble the bubble to nest
+     * @returns self
+     */
+    nest(bubble) {
+        this.backing.unshift(bubble.isDouble() ? bubble : bubble.value());
+        return this;
+    }
+
     /**
      * Generate a new bubble with the same values as this bubble.
      *
+     * Nested bubbles are cloned as well, so that the new bubble shares
+     * nothing with this one.
+     *
      * @returns a new bubble
      */
     clone() {
-        return new Bubble(...this.backing);
+        return new Bubble(...this.backing.map((v) => ((v instanceof Bubble) ? v.clone() : v)));
     }
 
     /**
@@ -350,1153 +1286,4671 @@ class Bubble {
     }
 
     /**
-     * Return the size of the bubble.
-     *
-     * By definition bubbles with only one value inside have a size of
-     * 0, therefore it is an error to have bubbles of size 1.
-     *
-     * @returns the bubble's size
+     * Return the size of the bubble.
+     *
+     * By definition bubbles with only one value inside have a size of
+     * 0, therefore it is an error to have bubbles of size 1.
+     *
+     * @returns the bubble's size
+     */
+    size() {
+        return (1 === this.backing.length) ? 0 : this.backing.length;
+    }
+
+    /**
+     * Get a plain representation of the bubble.
+     *
+     * Works like `value`, but bubbles nested inside, as generated by
+     * divisions, are converted as well: the result holds only plain
+     * values and arrays, fit for inspection.
+     *
+     * @returns a value or an array of values
+     */
+    toJSON() {
+        const plain = (v) => ((v instanceof Bubble) ? v.toJSON() : v);
+        const v = this.value();
+
+        return Array.isArray(v) ? v.map(plain) : plain(v);
+    }
+};
+
+/**
+ * Character sets known by name.
+ *
+ * - `awascii`: the 64 characters of the specifications;
+ * - `extended`: AwaSCII followed by the other printable characters of
+ *   ASCII, so that the first 64 values keep their meaning.
+ */
+const CHARSETS = {
+    awascii: 'AWawJELYHOSIUMjelyhosiumPCNTpcntBDFGRbdfgr0123456789 .,!\'()~_/;\n',
+    extended: 'AWawJELYHOSIUMjelyhosiumPCNTpcntBDFGRbdfgr0123456789 .,!\'()~_/;\n'
+        + 'KQVXZkqvxz"#$%&*+-:<=>?@[\\]^`{|}',
+};
+
+/**
+ * How many invalid characters or values an error message lists, and
+ * how many characters of the input it quotes; errors keep them all
+ * in their `invalid` property.
+ */
+const REPORTED = 10;
+const QUOTED = 40;
+
+/**
+ * Describe invalid entries for an error message, within bounds.
+ *
+ * @param invalid the invalid entries, with their `index`
+ * @param describe a function describing one entry
+ * @returns the description of the first entries, telling how many
+ *   more there are
+ */
+const reported = function (invalid, describe) {
+    const list = invalid.slice(0, REPORTED).map(describe).join(', ');
+    const more = invalid.length - REPORTED;
+
+    return (more > 0) ? `${list} and ${more} more` : list;
+};
+
+/**
+ * Conversion between strings and values of a character set.
+ *
+ * Each character of the table is encoded as its index in the table.
+ */
+class Charset {
+    /**
+     * @param table the characters of the set, as a string or an array
+     *   of characters
+     * @throws a type error if the table is not valid
+     */
+    constructor(table) {
+        const characters = ('string' === typeof table) ? Array.from(table) : table;
+        if (false === Array.isArray(characters) || 0 === characters.length) {
+            throw new TypeError('not a valid character set');
+        }
+
+        this.table = [];
+        this.values = new Map();
+        for (let c of characters) {
+            if ('string' !== typeof c || 1 !== Array.from(c).length) {
+                throw new TypeError(`not a valid character: '${c}'`);
+            }
+            if (this.values.has(c)) {
+                throw new TypeError(`duplicate character: '${c}'`);
+            }
+
+            this.values.set(c, this.table.length);
+            this.table.push(c);
+        }
+        Object.freeze(this.table);
+    }
+
+    /**
+     * Get the character associated with the given value.
+     *
+     * @param v the value to transform
+     * @returns the associated character
+     * @throws a range error if the value is not in the set
+     */
+    letter(v) {
+        const i = ('bigint' === typeof v) ? Number(v) : v;
+        if (false === Number.isInteger(i) || i < 0 || i >= this.table.length) {
+            throw new RangeError(`index ${v} out of range`);
+        }
+
+        return this.table[i];
+    }
+
+    /**
+     * Turn a string into the values of its characters.
+     *
+     * @param text the string to encode
+     * @returns an array of values
+     * @throws a range error, listing every `invalid` character along
+     *   with its `index`, if some are not in the set; its message
+     *   tells the first ones only
+     */
+    encode(text) {
+        const values = [];
+        const invalid = [];
+
+        const characters = Array.from(`${text}`);
+        for (let i=0; i<characters.length; ++i) {
+            const v = this.values.get(characters[i]);
+            if (undefined === v) {
+                invalid.push({ character: characters[i], index: i });
+                continue;
+            }
+            values.push(v);
+        }
+
+        if (0 !== invalid.length) {
+            const list = reported(invalid, (e) => (`${JSON.stringify(e.character)} at ${e.index}`));
+            const quote = (characters.length > QUOTED) ? `${characters.slice(0, QUOTED).join('')}...` : `${text}`;
+            const error = new RangeError(`'${quote}' contains invalid characters: ${list}`);
+            error.invalid = invalid;
+            throw error;
+        }
+
+        return values;
+    }
+
+    /**
+     * Turn values into a string.
+     *
+     * @param values an array of values
+     * @returns the string
+     * @throws a range error, listing every `invalid` value along with
+     *   its `index`, if some are not in the set; its message tells the
+     *   first ones only
+     */
+    decode(values) {
+        const characters = [];
+        const invalid = [];
+
+        for (let i=0; i<values.length; ++i) {
+            try {
+                characters.push(this.letter(values[i]));
+            } catch {
+                invalid.push({ value: values[i], index: i });
+            }
+        }
+
+        if (0 !== invalid.length) {
+            const list = reported(invalid, (e) => (`${e.value} at ${e.index}`));
+            const error = new RangeError(`values out of range: ${list}`);
+            error.invalid = invalid;
+            throw error;
+        }
+
+        return characters.join('');
+    }
+};
+
+/**
+ * The character set of the specifications.
+ */
+const AWASCII = new Charset(CHARSETS.awascii);
+
+/**
+ * Provide functions to handle opcode input and output.
+ */
+class InOut {
+    /**
+     * @param stdin an input reader
+     * @param stdout an output writer
+     * @param signal an abort signal cancelling reads, if any
+     * @param numeric the numeric mode of numbers read, as in
+     *   `NUMERICS`, plain numbers by default
+     * @param charset the character set of strings, AwaSCII by default
+     */
+    constructor(stdin, stdout, signal, numeric, charset) {
+        this.stdin = stdin;
+        this.stdout = stdout;
+        this.signal = signal;
+        this.numeric = numeric || NUMERICS.number;
+        this.charset = charset || AWASCII;
+
+        // promise of a full writer being ready again, if any
+        this.backlog = null;
+
+        // when waiting for the reader or the writer must end, and the
+        // limit of the program on its wall clock time
+        this.deadline = Infinity;
+        this.wallClockMs = Infinity;
+    }
+
+    /**
+     * Get the letter associated with the given value.
+     *
+     * The alphabet is limited to the character set, AwaSCII per
+     * specifications of the language, so any values outside the range
+     * of the set will generate an error.
+     *
+     * @param trace intepreter stack trace
+     * @param v the value to transform
+     * @returns the associated letter
+     * @throws a range error if the value is not in the alphabet
+     */
+    letter(trace, v) {
+        trace.push('InOut.letter');
+        let letter = v;
+
+        if ('string' !== typeof v) {
+            letter = this.charset.letter(v);
+        }
+
+        trace.pop();
+        return letter;
+    }
+
+    /**
+     * Write the contents of a bubble as a string.
+     *
+     * The string representation is obtained by transforming each
+     * number into the associated letter; nested bubbles are written
+     * in the same way, one after the other.
+     *
+     * @param trace interpreter stack trace
+     * @param bubble the bubble to write
+     * @returns null
+     */
+    write(trace, bubble) {
+        trace.push('InOut.write');
+
+        // write all values of double bubbles as single string
+        const text = (v) => {
+            if (Array.isArray(v)) {
+                return v.map(text).join('');
+            }
+
+            return (v instanceof Bubble) ? text(v.value()) : this.letter(trace, v);
+        };
+        const out = text(bubble.value());
+
+        this.hold(this.stdout.write(out));
+
+        trace.pop();
+        return null;
+    }
+
+    /**
+     * Read a string provided by the user.
+     *
+     * While reading, the characters are checked against the
+     * character set; to read actual numbers use `readRaw`.
+     *
+     * If the reader gives an empty line, the string `'0'` is
+     * returned.
+     *
+     * @param trace interpreter stack trace
+     * @param token the token of the operation reading
+     * @returns new bubble with the value
+     * @throws a range error if some characters are not in the set
+     * @throws a limit error if the deadline passes while waiting
+     */
+    async read(trace, token) {
+        trace.push('InOut.read');
+        let line = await this.abortable(token, (signal) => (this.stdin.read(signal)));
+        if (!line || 0 === line.length) {
+            // if there are no lines provide a string nonetheless
+            line = ['0'];
+        } else {
+            // validate the given characters
+            this.charset.encode(line);
+            line = Array.from(line);
+        }
+
+        trace.pop();
+        return new Bubble(...line);
+    }
+
+    /**
+     * Writes the contents of a bubble as a number or array.
+     *
+     * The actual format of the output is left to Javascript's own
+     * built-in toString functions, values being separated by commas;
+     * nested bubbles are enclosed in square brackets, e.g. `1,[2,3]`.
+     *
+     * @param trace interpreter stack trace
+     * @param bubble the bubble to write
+     * @returns null
+     */
+    writeRaw(trace, bubble) {
+        trace.push('InOut.writeRaw');
+
+        const raw = (v) => {
+            if (Array.isArray(v)) {
+                return v.map(raw).join(',');
+            }
+
+            return (v instanceof Bubble) ? `[${raw(v.value())}]` : `${v}`;
+        };
+        const out = raw(bubble.value());
+
+        this.hold(this.stdout.write(out));
+
+        trace.pop();
+        return null;
+    }
+
+    /**
+     * Keep track of a writer asking to wait.
+     *
+     * Writers return a promise, instead of themselves, when they are
+     * full; the promise is kept as the `backlog` until `drain`, along
+     * with those of earlier writes not drained yet.
+     *
+     * @param written whatever the writer returned
+     */
+    hold(written) {
+        if (written && 'function' === typeof written.then) {
+            this.backlog = (null === this.backlog) ? written : Promise.all([this.backlog, written]);
+        }
+    }
+
+    /**
+     * Wait until a full writer is ready again.
+     *
+     * Aborting the signal, if any, stops waiting and rejects with the
+     * reason of the signal.
+     *
+     * @param trace interpreter stack trace
+     * @param token the token of the operation writing
+     * @returns null
+     * @throws a limit error if the deadline passes while waiting
+     */
+    async drain(trace, token) {
+        trace.push('InOut.drain');
+        const backlog = this.backlog;
+        this.backlog = null;
+
+        await this.abortable(token, () => (backlog));
+
+        trace.pop();
+        return null;
+    }
+
+    /**
+     * Wait for a promise, unless the signal is aborted or the deadline
+     * passes first.
+     *
+     * The promise is made by `wait`, given a signal aborted in both
+     * cases, so that readers can stop reading; since they are not
+     * required to honour it, the wait is cut short here whatever they
+     * do.
+     *
+     * @param token the token of the operation waiting
+     * @param wait a function given a signal, if any, and returning the
+     *   promise to wait for, or a plain value
+     * @returns the value of the promise
+     * @throws the reason of the signal if it is aborted
+     * @throws a limit error if the deadline passes
+     */
+    async abortable(token, wait) {
+        const signal = this.signal;
+        const deadline = this.deadline;
+        if (!signal && Infinity === deadline) {
+            return wait(undefined);
+        }
+
+        const controller = new AbortController();
+        let abort = null;
+        let timer = null;
+        const stopped = new Promise((resolve, reject) => {
+            const stop = (reason) => {
+                controller.abort(reason);
+                reject(reason);
+            };
+
+            if (signal) {
+                abort = () => { stop(signal.reason); };
+                if (true === signal.aborted) {
+                    abort();
+                }
+                signal.addEventListener('abort', abort);
+            }
+
+            if (Infinity !== deadline) {
+                const expire = () => {
+                    stop(new LimitError('wallClockMs', `too much time (limit ${this.wallClockMs} ms)`, token));
+                };
+
+                // one more millisecond, so the limit is truly exceeded
+                timer = setTimeout(expire, Math.max(0, deadline - Date.now()) + 1);
+            }
+        });
+
+        try {
+            return await Promise.race([wait(controller.signal), stopped]);
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Read a number provided by the user.
+     *
+     *
+     * If the reader gives an empty line, the number `0` is returned.
+     *
+     * @param trace interpreter stack trace
+     * @param token the token of the operation reading
+     * @returns new bubble with the value
+     * @throws a limit error if the deadline passes while waiting
+     */
+    async readRaw(trace, token) {
+        trace.push('InOut.read');
+        let line = await this.abortable(token, (signal) => (this.stdin.read(signal)));
+        if (!line || 0 === line.length) {
+            // if there are no lines provide a number nonetheless
+            line = this.numeric.zero;
+        } else {
+            const v = this.numeric.parse(line);
+            if (Number.isNaN(v)) {
+                throw new TypeError(`'${line}' is not a number`);
+            }
+            line = v;
+        }
+
+        trace.pop();
+        return new Bubble(line);
+    }
+}
+
+/**
+ * Provide functions to move bubbles around.
+ */
+class Abysser {
+    /**
+     * @param abyss the interpreter state stack
+     */
+    constructor(abyss) {
+        this.abyss = abyss;
+    }
+
+    /**
+     * Move a bubble down the stack according to input.
+     *
+     * @param trace interpreter stack trace
+     * @param input how many positions to move down
+     * @returns null
+     */
+    submerge(trace, input) {
+        trace.push('Abysser.submerge');
+        const value = this.abyss.pop();
+
+        if (0 === input) {
+            this.abyss.unshift(value);
+        } else {
+            // warning: can be slow in some cases
+            this.abyss.splice(this.abyss.length - input, 0, value);
+        }
+
+        trace.pop();
+        return null;
+    }
+
+    /**
+     * Remove or split a bubble.
+     *
+     * The split happens only if the bubble has more than one value;
+     * nested bubbles come out whole.
+     *
+     * @param trace interpreter stack trace
+     * @param input the bubble to pop
+     * @returns null or an array of bubbles to push into the abyss
+     */
+    pop(trace, input) {
+        trace.push('Abysser.pop');
+        if (false === input.isDouble()) {
+            trace.pop();
+            return null;
+        }
+
+        const bubbles = [];
+        for (let v of input.value()) {
+            bubbles.push((v instanceof Bubble) ? v : new Bubble(v));
+        }
+
+        trace.pop();
+        return bubbles;
+    }
+
+    /**
+     * Clone the given bubble and push both into the abyss.
+     *
+     * @param trace interpreter stack trace
+     * @param input the bubble to clone
+     * @returns array of bubbles to push into the abyss
+     */
+    duplicate(trace, input) {
+        trace.push('Abysser.duplicate');
+        const bubbles = [input, input.clone()];
+
+        trace.pop();
+        return bubbles;
+    }
+
+    /**
+     * Create a single bubble from multiple ones.
+     *
+     * Double bubbles are nested inside the new bubble, the topmost
+     * last; a double bubble surrounded alone is left as it is.
+     *
+     * @param trace interpreter stack trace
+     * @param input how many bubble to take from the abyss
+     * @returns the new bubble
+     */
+    surround(trace, input) {
+        trace.push('Abysser.surround');
+        let bubble = new Bubble();
+
+        for (let i=0; i<input; ++i) {
+            bubble.nest(this.abyss.pop());
+        }
+
+        // a bubble holding only another bubble is that bubble
+        if (1 === bubble.backing.length && bubble.backing[0] instanceof Bubble) {
+            bubble = bubble.backing[0];
+        }
+
+        trace.pop();
+        return bubble;
+    }
+
+    /**
+     * Create one bubble from the two topmost bubbles.
+     *
+     * The values of the second bubble come first, then those of the
+     * first one; nested bubbles are kept whole.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @returns the merged bubble
+     */
+    merge(trace, b1, b2) {
+        trace.push('Abysser.merge');
+        const bubble = new Bubble();
+
+        bubble.merge(b1);
+        bubble.merge(b2);
+
+        trace.pop();
+        return bubble;
+    }
+}
+
+/**
+ * Numeric modes of the values of bubbles.
+ *
+ * - `number`: plain Javascript numbers;
+ * - `bigint`: exact integers of arbitrary precision;
+ * - `int32` and `int8`: integers of 32 and 8 bits, wrapping around
+ *   as two's complement.
+ *
+ * Each mode tells how to turn a Javascript number into a value
+ * (`from`), how to `parse` a value from a string, NaN if it is not a
+ * number, and how to `add`, `sub`, `mul` and `div` values; divisions
+ * give the remainder and the quotient, truncated toward zero.
+ */
+const NUMERICS = {
+    number: {
+        zero: 0,
+        from: (v) => (v),
+        parse: (s) => (parseInt(s)),
+        add: (v1, v2) => (v1 + v2),
+        sub: (v1, v2) => (v1 - v2),
+        mul: (v1, v2) => (v1 * v2),
+        div: (v1, v2) => {
+            let division = v1 / v2;
+            division = (division < 0) ? Math.ceil(division) : Math.floor(division);
+
+            let remainder = v1 % v2;
+            return [remainder, division];
+        },
+    },
+    bigint: {
+        zero: 0n,
+        from: (v) => (BigInt(v)),
+        parse: (s) => {
+            // same digits parseInt would take
+            const digits = /^\s*[+-]?\d+/.exec(s);
+            return (null === digits) ? NaN : BigInt(digits[0]);
+        },
+        add: (v1, v2) => (v1 + v2),
+        sub: (v1, v2) => (v1 - v2),
+        mul: (v1, v2) => (v1 * v2),
+        div: (v1, v2) => {
+            if (0n === v2) {
+                throw new RangeError('division by zero');
+            }
+            return [v1 % v2, v1 / v2];
+        },
+    },
+    int32: {
+        zero: 0,
+        from: (v) => (v | 0),
+        parse: (s) => {
+            const v = parseInt(s);
+            return Number.isNaN(v) ? v : (v | 0);
+        },
+        add: (v1, v2) => ((v1 + v2) | 0),
+        sub: (v1, v2) => ((v1 - v2) | 0),
+        mul: (v1, v2) => (Math.imul(v1, v2)),
+        div: (v1, v2) => {
+            if (0 === v2) {
+                throw new RangeError('division by zero');
+            }
+            return [(v1 % v2) | 0, Math.trunc(v1 / v2) | 0];
+        },
+    },
+    int8: {
+        zero: 0,
+        from: (v) => ((v << 24) >> 24),
+        parse: (s) => {
+            const v = parseInt(s);
+            return Number.isNaN(v) ? v : ((v << 24) >> 24);
+        },
+        add: (v1, v2) => (((v1 + v2) << 24) >> 24),
+        sub: (v1, v2) => (((v1 - v2) << 24) >> 24),
+        mul: (v1, v2) => ((Math.imul(v1, v2) << 24) >> 24),
+        div: (v1, v2) => {
+            if (0 === v2) {
+                throw new RangeError('division by zero');
+            }
+            return [((v1 % v2) << 24) >> 24, (Math.trunc(v1 / v2) << 24) >> 24];
+        },
+    },
+};
+
+/**
+ * Provide basic arithmetic functions on bubbles.
+ *
+ * Operations on double bubbles work value by value, recursively: a
+ * single bubble is combined with every value of a double bubble, two
+ * double bubbles are combined pairwise, as long as the shortest is.
+ * Either way the first bubble gives the left-hand operand.
+ */
+class Arith {
+    /**
+     * Add two bubbles.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @returns a new bubble with the result
+     */
+    static add(trace, b1, b2, numeric) {
+        trace.push('Arith.add');
+        const mode = numeric || NUMERICS.number;
+        const result = Arith.broadcast(trace, b1, b2, mode.add);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Subtract two bubbles.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @returns a new bubble with the result
+     */
+    static sub(trace, b1, b2, numeric) {
+        trace.push('Arith.sub');
+        const mode = numeric || NUMERICS.number;
+        const result = Arith.broadcast(trace, b1, b2, mode.sub);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Multiply two bubbles.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @returns a new bubble with the result
+     */
+    static mul(trace, b1, b2, numeric) {
+        trace.push('Arith.mul');
+        const mode = numeric || NUMERICS.number;
+        const result = Arith.broadcast(trace, b1, b2, mode.mul);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Divide two bubbles and keep the remainder.
+     *
+     * The result will be a double bubble that can contain other
+     * double bubbles.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @returns a new bubble with the result
+     */
+    static div(trace, b1, b2, numeric) {
+        trace.push('Arith.div');
+        const result = Arith.broadcast(trace, b1, b2, (v1, v2) => (new Bubble(...Arith.bubblediv(trace, v1, v2, numeric))));
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Calculate the division and the remainder of two bubbles.
+     *
+     * The division is truncated toward zero, and the remainder has
+     * the sign of the first value, whatever the numeric mode.
+     *
+     * @param trace interpreter stack trace
+     * @param v1 the first value
+     * @param v2 the second value
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @return array with remainder and division, in this order
+     * @throws a range error if dividing integers by zero
+     */
+    static bubblediv(trace, v1, v2, numeric) {
+        trace.push('Arith.bubblediv');
+        const mode = numeric || NUMERICS.number;
+        const result = mode.div(v1, v2);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Apply an operation to two bubbles, value by value.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param operation function taking two plain values and giving
+     *   either a plain value or a bubble
+     * @returns a new bubble with the result
+     */
+    static broadcast(trace, b1, b2, operation) {
+        trace.push('Arith.broadcast');
+
+        // values are either plain or double bubbles
+        const apply = (v1, v2) => {
+            const v1double = (v1 instanceof Bubble);
+            const v2double = (v2 instanceof Bubble);
+
+            if (false === v1double && false === v2double) {
+                return operation(v1, v2);
+            }
+
+            if (true === v1double && false === v2double) {
+                return new Bubble(...v1.value().map((e) => (apply(e, v2))));
+            }
+
+            if (false === v1double && true === v2double) {
+                return new Bubble(...v2.value().map((e) => (apply(v1, e))));
+            }
+
+            const values = [];
+            const e1 = v1.value();
+            const e2 = v2.value();
+            const len = Math.min(e1.length, e2.length);
+            for (let i=0; i<len; ++i) {
+                values.push(apply(e1[i], e2[i]));
+            }
+            return new Bubble(...values);
+        };
+
+        const plain = (b) => (b.isDouble() ? b : b.value());
+        const result = apply(plain(b1), plain(b2));
+
+        trace.pop();
+        return (result instanceof Bubble) ? result : new Bubble(result);
+    }
+}
+
+/**
+ * Provide function to compare two bubbles.
+ */
+class Comparator {
+    /**
+     * Test for bubble equality.
+     *
+     * Double bubbles are compared in every contained value, nested
+     * bubbles included.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @returns false if the bubbles are different
+     */
+    static equal(trace, b1, b2) {
+        trace.push('Comparator.equal');
+
+        // values are either plain or double bubbles
+        const same = (v1, v2) => {
+            const v1double = (v1 instanceof Bubble);
+            const v2double = (v2 instanceof Bubble);
+
+            if (v1double !== v2double) {
+                // single and double bubbles are always different
+                return false;
+            }
+
+            if (false === v1double) {
+                return (v1 === v2);
+            }
+
+            // different sizes make bubbles different
+            const e1 = v1.value();
+            const e2 = v2.value();
+            if (e1.length !== e2.length) {
+                return false;
+            }
+
+            for (let i=0; i<e1.length; ++i) {
+                if (false === same(e1[i], e2[i])) {
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        const plain = (b) => (b.isDouble() ? b : b.value());
+        const result = same(plain(b1), plain(b2));
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Test whether the first bubble is smaller than the second.
+     *
+     * Bubbles are sorted as told by `order`, unless an alternative
+     * function is given.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param compare alternative ordering, if any, as in `order`
+     * @returns false if the bubble is greater
+     */
+    static less(trace, b1, b2, compare) {
+        trace.push('Comparator.less');
+        const result = (Comparator.order(trace, b1, b2, compare) < 0);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Test whether the first bubble is greater than the second.
+     *
+     * Bubbles are sorted as told by `order`, unless an alternative
+     * function is given.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param compare alternative ordering, if any, as in `order`
+     * @returns false if the bubble is smaller
+     */
+    static greater(trace, b1, b2, compare) {
+        trace.push('Comparator.greater');
+        const result = (Comparator.order(trace, b1, b2, compare) > 0);
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Tell how two bubbles are sorted.
+     *
+     * Double bubbles are sorted lexicographically, value by value,
+     * nested bubbles included; when one is a prefix of the other, the
+     * shorter comes first. A single bubble is sorted as a double
+     * bubble holding only its value, so it comes before the double
+     * bubbles starting with the same value.
+     *
+     * An alternative `compare` function can take the place of this
+     * ordering: it is given the plain values of both bubbles, as from
+     * `toJSON`, and works as the one of `Array.prototype.sort`.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the first bubble
+     * @param b2 the second bubble
+     * @param compare alternative ordering, if any
+     * @returns a negative number if the first bubble comes first, a
+     *   positive number if it comes last, 0 otherwise
+     */
+    static order(trace, b1, b2, compare) {
+        trace.push('Comparator.order');
+
+        if (compare) {
+            const result = compare(b1.toJSON(), b2.toJSON());
+
+            trace.pop();
+            return result;
+        }
+
+        // values are either plain or double bubbles
+        const values = (v) => ((v instanceof Bubble) ? v.value() : [v]);
+        const sort = (v1, v2) => {
+            if (false === v1 instanceof Bubble && false === v2 instanceof Bubble) {
+                return (v1 < v2) ? -1 : ((v1 > v2) ? 1 : 0);
+            }
+
+            const e1 = values(v1);
+            const e2 = values(v2);
+            const len = Math.min(e1.length, e2.length);
+            for (let i=0; i<len; ++i) {
+                const result = sort(e1[i], e2[i]);
+                if (0 !== result) {
+                    return result;
+                }
+            }
+            return e1.length - e2.length;
+        };
+
+        const plain = (b) => (b.isDouble() ? b : b.value());
+        const result = sort(plain(b1), plain(b2));
+
+        trace.pop();
+        return result;
+    }
+
+    /**
+     * Test whether a bubble is exactly the value 0.
+     *
+     * A double bubble with only zero values does not pass this test;
+     * it has to be a single bubble.
+     *
+     * @param trace interpreter stack trace
+     * @param b1 the bubble to test
+     * @param numeric the numeric mode, as in `NUMERICS`, plain numbers
+     *   by default
+     * @returns false if the bubble is not the value 0.
+     */
+    static zero(trace, b1, numeric) {
+        trace.push('Comparator.zero');
+        const mode = numeric || NUMERICS.number;
+        let result = false;
+
+        // only single bubbles can be compared with the single value 0
+        if (false === b1.isDouble()) {
+            result = (mode.zero === b1.value());
+        }
+
+        trace.pop();
+        return result;
+    }
+};
+
+/**
+ * Tell how many of the topmost bubbles an operation can change.
+ *
+ * Bubbles below are left untouched by the operation, so comparing the
+ * topmost bubbles before and after the operation is enough to tell
+ * what it did.
+ *
+ * @param trace interpreter stack trace
+ * @param opcode the opcode of the operation
+ * @param argument the token of the argument, if any
+ * @param depth how many bubbles are in the abyss
+ * @returns the number of bubbles
+ */
+const footprint = function (trace, opcode, argument, depth) {
+    trace.push('footprint');
+    let n = 0;
+    const v = (undefined === argument) ? 0 : argument.value;
+
+    switch (opcode) {
+    case OPCODES.PRN:
+    case OPCODES.PR1:
+    case OPCODES.POP:
+    case OPCODES.DPL:
+        n = 1;
+        break;
+    case OPCODES.MRG:
+    case OPCODES.DD4:
+    case OPCODES.SUB:
+    case OPCODES.MUL:
+    case OPCODES.DIV:
+        n = 2;
+        break;
+    case OPCODES.SRN:
+        n = v;
+        break;
+    case OPCODES.SBM:
+        // the topmost bubble goes down to the bottom when 0
+        n = (0 === v) ? depth : v + 1;
+        break;
+    default:
+        break;
+    }
+
+    trace.pop();
+    return Math.min(Math.max(n, 0), depth);
+};
+
+/**
+ * Find the jump labels defined in a sequence of tokens.
+ *
+ * Labels map their id to the index of their argument, so that a jump
+ * continues from the operation following the label; when the same id
+ * is defined more than once the last definition wins.
+ *
+ * @param trace interpreter stack trace
+ * @param tokens the sequence of tokens
+ * @param dialect the dialect of the language, `'awa5js'` by default
+ * @returns the labels
+ * @throws an opcode error if a label has no id
+ */
+const labeler = function (trace, tokens, dialect) {
+    trace.push('labeler');
+
+    // warning: slow because it traverses all tokens before execution
+    const labels = [];
+    for (let i=0; i<tokens.length; ++i) {
+        if (OPCODES.get(trace, tokens[i].value) === OPCODES.LBL) {
+            if (undefined === tokens[i + 1]) {
+                throw new OpcodeError(tokens[i], 'not enough arguments');
+            }
+            labels[tokens[i + 1].value] = i + 1;
+        }
+
+        if (OPCODES.parameterized(trace, OPCODES.get(trace, tokens[i].value), dialect)) {
+            i = i + 1;
+        }
+    }
+
+    trace.pop();
+    return labels;
+};
+
+/**
+ * State of a program being executed.
+ *
+ * The interpreter starts from the position held by the context and
+ * keeps it up to date before every operation, so that the program can
+ * be inspected while it is suspended.
+ *
+ * Every run has a context of its own, so that programs running at the
+ * same time never share their state.
+ */
+class Context {
+    /**
+     * @param tokens the sequence of tokens
+     * @param abyss the interpreter state stack, empty by default
+     * @param trace the interpreter stack trace, empty by default
+     */
+    constructor(tokens, abyss, trace) {
+        this.tokens = tokens;
+        this.abyss = abyss || [];
+        this.trace = trace || [];
+
+        // jump labels, registered by the interpreter
+        this.labels = [];
+
+        // index of the token about to be executed
+        this.cursor = 0;
+
+        // how many operations have been executed so far
+        this.executed = 0;
+    }
+};
+
+/**
+ * Tell which operation an error was thrown by.
+ *
+ * Errors other than opcode and limit errors, e.g. from bubbles and
+ * in/out, are reported as the opcode's own.
+ *
+ * @param e the error thrown
+ * @param tokens the sequence of tokens
+ * @param cursor the index of the token of the operation
+ * @returns an opcode or limit error with its `cursor`
+ */
+const located = function (e, tokens, cursor) {
+    if (e instanceof OpcodeError || e instanceof LimitError) {
+        e.cursor = cursor;
+        return e;
+    }
+
+    const error = new OpcodeError(tokens[cursor], e.message, { cause: e });
+    error.cursor = cursor;
+    return error;
+};
+
+/**
+ * Iterate over a sequence of tokens and perform associated actions.
+ *
+ * Options are an object with the `dialect` of the language the
+ * tokens were parsed with, `'awa5js'` by default, and the `limits`
+ * of the execution as described in `LIMITS`; when one of the limits
+ * is exceeded the interpreter will terminate with an error.
+ *
+ * Options can also have a `hook`, a function called with the context
+ * before every operation: if it returns a promise the interpreter
+ * waits for it, so the hook can suspend the program for as long as it
+ * needs, otherwise it goes on right away. The interpreter goes on
+ * from the cursor of the context, which the hook is allowed to move
+ * along with the abyss.
+ *
+ * Finally, options can have a `listener`, a function called before
+ * and after every operation with an object describing it: the
+ * `phase`, either `'before'` or `'after'`, the `cursor` and the
+ * `opcode` of the operation, its `argument` if any, how many
+ * operations were `executed` and, after the operation, the `delta`
+ * of the abyss. The delta tells that the bubbles from index `at`
+ * onward, `removed`, were replaced by the `added` ones.
+ *
+ * An abort `signal` can also be given in the options: once aborted,
+ * the interpreter stops before its next operation, or while waiting
+ * for input, with an `AbortError`.
+ *
+ * Options can also have a `compare` function sorting bubbles for `LSS`
+ * and `GR8` in place of `Comparator.order`, and the `numeric` mode of
+ * the values of bubbles, as in `NUMERICS`, `'number'` by default, and
+ * the `charset` of strings, AwaSCII by default.
+ *
+ * Errors thrown by the interpreter tell the `cursor` of the operation
+ * that failed.
+ *
+ * @param trace the interpreter stack trace
+ * @param context the state of the program
+ * @param stdin an input reader
+ * @param stdout an output writer
+ * @param options the interpreter options
+ * @returns the value of the topmost bubble, 0 by default
+ * @throws an opcode error if an operation fails
+ * @throws a limit error if a limit is exceeded
+ * @throws an abort error if the signal is aborted
+ */
+const interpreter = async function (trace, context, stdin, stdout, options) {
+    trace.push('interpreter');
+
+    const dialect = options.dialect;
+    const limits = options.limits;
+    const hook = options.hook || null;
+    const listener = options.listener || null;
+    const signal = options.signal || null;
+    const compare = options.compare || null;
+    const numeric = NUMERICS[options.numeric || 'number'];
+    const charset = options.charset || AWASCII;
+
+    const tokens = context.tokens;
+    const abyss = context.abyss;
+
+    // limit the number of executed operations to avoid infinite loops
+    let executed = context.executed;
+    let started = Date.now();
+
+    // register jump labels
+    const labels = labeler(trace, tokens, dialect);
+    context.labels = labels;
+
+    // handle in/out
+    const inout = new InOut(stdin, stdout, signal || undefined, numeric, charset);
+    inout.wallClockMs = limits.wallClockMs;
+    inout.deadline = started + limits.wallClockMs;
+
+    // handle bubble juggling
+    const abysser = new Abysser(abyss);
+
+    // execute the tokens
+    let cursor = context.cursor;
+    let current = cursor;
+    let result = null;
+
+    // move the cursor according to the outcome of a comparison
+    const branch = (outcome) => {
+        if (DIALECTS.ORIGINAL === dialect) {
+            // skip the next operation, along with its argument, if false
+            if (false === outcome && undefined !== tokens[cursor + 1]) {
+                const next = OPCODES.get(trace, tokens[cursor + 1].value);
+                cursor = cursor + (OPCODES.parameterized(trace, next, dialect) ? 2 : 1);
+            }
+            return;
+        }
+
+        // jump to the label if true, then skip the argument
+        if (true === outcome && undefined !== labels[tokens[cursor + 1].value]) {
+            cursor = labels[tokens[cursor + 1].value];
+        } else {
+            cursor = cursor + 1;
+        }
+    };
+    try {
+        while (cursor < tokens.length) {
+            context.cursor = cursor;
+            context.executed = executed;
+            if (null !== hook) {
+                // time spent suspended by the hook does not count
+                const suspension = hook(context);
+                if (suspension instanceof Promise) {
+                    const suspended = Date.now();
+                    await suspension;
+                    started = started + (Date.now() - suspended);
+                    inout.deadline = started + limits.wallClockMs;
+                }
+
+                // the hook may have moved the program elsewhere
+                cursor = context.cursor;
+                executed = context.executed;
+                if (cursor >= tokens.length) {
+                    break;
+                }
+            }
+
+            if (null !== signal && true === signal.aborted) {
+                throw new AbortError(cursor, tokens[cursor], { cause: signal.reason });
+            }
+
+            current = cursor;
+            const token = tokens[cursor];
+            const code = OPCODES.get(trace, token.value);
+
+            // remember the bubbles the operation can touch
+            let step = null;
+            if (null !== listener) {
+                const argument = OPCODES.parameterized(trace, code, dialect) ? tokens[cursor + 1] : undefined;
+                step = {
+                    cursor: cursor,
+                    opcode: OPCODES.name(code),
+                    argument: (undefined === argument) ? null : argument.value,
+                    at: Math.max(0, abyss.length - footprint(trace, code, argument, abyss.length)),
+                };
+                step.removed = abyss.slice(step.at).map((e) => (e.toJSON()));
+
+                listener({
+                    phase: 'before',
+                    cursor: step.cursor,
+                    opcode: step.opcode,
+                    argument: step.argument,
+                    executed: executed,
+                    delta: null,
+                });
+            }
+
+            trace.push(OPCODES.name(code));
+
+            switch (code) {
+            case OPCODES.NOP:
+                // nop = no operations...
+                break;
+            case OPCODES.PRN:
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = inout.write(trace, abyss.pop());
+                if (null !== inout.backlog) {
+                    await inout.drain(trace, tokens[cursor]);
+                }
+                break;
+            case OPCODES.PR1:
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = inout.writeRaw(trace, abyss.pop());
+                if (null !== inout.backlog) {
+                    await inout.drain(trace, tokens[cursor]);
+                }
+                break;
+            case OPCODES.RED:
+                result = await inout.read(trace, tokens[cursor]);
+                break;
+            case OPCODES.R3D:
+                result = await inout.readRaw(trace, tokens[cursor]);
+                break;
+            case OPCODES.BLO:
+                if (undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                result = new Bubble(numeric.from(tokens[cursor + 1].value));
+                cursor = cursor + 1;
+                break;
+            case OPCODES.SBM:
+                if (undefined  === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = abysser.submerge(trace, tokens[cursor + 1].value);
+                cursor = cursor + 1;
+                break;
+            case OPCODES.POP:
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = abysser.pop(trace, abyss.pop());
+                break;
+            case OPCODES.DPL:
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = abysser.duplicate(trace, abyss.pop());
+                break;
+            case OPCODES.SRN:
+                if (undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (tokens[cursor + 1].value > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = abysser.surround(trace, tokens[cursor + 1].value);
+                cursor = cursor + 1;
+                break;
+            case OPCODES.MRG:
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = abysser.merge(trace, abyss.pop(), abyss.pop());
+                break;
+            case OPCODES.DD4:
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = Arith.add(trace, abyss.pop(), abyss.pop(), numeric);
+                break;
+            case OPCODES.SUB:
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = Arith.sub(trace, abyss.pop(), abyss.pop(), numeric);
+                break;
+            case OPCODES.MUL:
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = Arith.mul(trace, abyss.pop(), abyss.pop(), numeric);
+                break;
+            case OPCODES.DIV:
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = Arith.div(trace, abyss.pop(), abyss.pop(), numeric);
+                break;
+            case OPCODES.CNT:
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                result = new Bubble(numeric.from(abyss[abyss.length - 1].size()));
+                break;
+            case OPCODES.LBL:
+                // labels are already handled here; simply jump the argument
+                cursor = cursor + 1;
+                break;
+            case OPCODES.JMP:
+                if (undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (undefined === labels[tokens[cursor + 1].value]) {
+                    // unregistered labels are ignored instead of singaling an error
+                    cursor = cursor + 1;
+                } else {
+                    cursor = labels[tokens[cursor + 1].value];
+                }
+                break;
+            case OPCODES.EQL:
+                if (DIALECTS.ORIGINAL !== dialect && undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                branch(Comparator.equal(trace, abyss[abyss.length - 1], abyss[abyss.length - 2]));
+                break;
+            case OPCODES.LSS:
+                if (DIALECTS.ORIGINAL !== dialect && undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                branch(Comparator.less(trace, abyss[abyss.length - 1], abyss[abyss.length - 2], compare));
+                break;
+            case OPCODES.GR8:
+                if (DIALECTS.ORIGINAL !== dialect && undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (2 > abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                branch(Comparator.greater(trace, abyss[abyss.length - 1], abyss[abyss.length - 2], compare));
+                break;
+            case OPCODES.EQZ:
+                if (DIALECTS.ORIGINAL === dialect) {
+                    // not part of the original specifications
+                    throw new OpcodeError(tokens[cursor], 'invalid opcode');
+                }
+                if (undefined === tokens[cursor + 1]) {
+                    throw new OpcodeError(tokens[cursor], 'not enough arguments');
+                }
+                if (0 === abyss.length) {
+                    throw new OpcodeError(tokens[cursor], 'not enough bubbles');
+                }
+                branch(Comparator.zero(trace, abyss[abyss.length - 1], numeric));
+                break;
+            case OPCODES.TRM:
+                // pushing the cursor out of the tokens size terminates the program
+                cursor = tokens.length;
+                break;
+            default:
+                throw new OpcodeError(tokens[cursor], 'invalid opcode');
+            }
+
+            trace.pop();
+
+            // push result into the abyss, if any
+            const depth = abyss.length;
+            if (null !== result) {
+                // warning: catching the spread of a single bubble is slow
+                if (Array.isArray(result)) {
+                    abyss.push(...result);
+                } else {
+                    abyss.push(result);
+                }
+            }
+
+            result = null;
+            cursor = cursor + 1;
+            executed = executed + 1;
+            context.cursor = cursor;
+            context.executed = executed;
+
+            if (null !== listener) {
+                listener({
+                    phase: 'after',
+                    cursor: step.cursor,
+                    opcode: step.opcode,
+                    argument: step.argument,
+                    executed: executed,
+                    delta: {
+                        at: step.at,
+                        removed: step.removed,
+                        added: abyss.slice(step.at).map((e) => (e.toJSON())),
+                    },
+                });
+            }
+
+            // stop interpreter on too many ops
+            if (executed >= limits.operations) {
+                throw new LimitError('operations', `too many operations (limit ${limits.operations})`, token);
+            }
+
+            if (abyss.length > limits.abyssDepth) {
+                throw new LimitError('abyssDepth', `abyss too deep (limit ${limits.abyssDepth})`, token);
+            }
+
+            for (let i=depth; i<abyss.length; ++i) {
+                if (abyss[i].size() > limits.bubbleSize) {
+                    throw new LimitError('bubbleSize', `bubble too large (limit ${limits.bubbleSize})`, token);
+                }
+            }
+
+            if (Date.now() - started > limits.wallClockMs) {
+                throw new LimitError('wallClockMs', `too much time (limit ${limits.wallClockMs} ms)`, token);
+            }
+        }
+    } catch (e) {
+        if (e instanceof AbortError) {
+            throw e;
+        }
+
+        // reads cancelled by the signal fail with whatever the reader likes
+        if (false === e instanceof OpcodeError && false === e instanceof LimitError
+            && null !== signal && true === signal.aborted) {
+            throw new AbortError(current, tokens[current], { cause: signal.reason });
+        }
+
+        throw located(e, tokens, current);
+    }
+
+    context.cursor = cursor;
+    context.executed = executed;
+
+    // use last value in the abyss as return value, if it exists, with
+    // nested bubbles as plain arrays; the abyss is left as is, to be
+    // inspected
+    const retval = (abyss.length > 0) ? abyss[abyss.length - 1].toJSON() : 0;
+
+    trace.pop();
+    return retval;
+};
+
+/**
+ * Translate a sequence of tokens into the body of a Javascript
+ * function with the same behaviour of the interpreter.
+ *
+ * The program is split into basic blocks, starting where jumps land
+ * (right after the argument of every `LBL`) and, in the original
+ * dialect, where comparisons skip to. Every block is a `case` of a
+ * `switch` nested in a loop: operations in a block run one after the
+ * other, falling through the next block, while jumps select another
+ * block and go on with the loop.
+ *
+ * The generated code expects `stdin`, `stdout`, the `context` of the
+ * run and the `runtime`, i.e. the classes and helpers used by the
+ * interpreter, along with the tokens, the labels and the limits, to be
+ * available by name; it checks only the limits that are actually set.
+ *
+ * @param trace interpreter stack trace
+ * @param tokens the sequence of tokens
+ * @param labels the jump labels, as given by `labeler`
+ * @param dialect the dialect the tokens were parsed with
+ * @param limits the limits of the execution, as in `LIMITS`
+ * @returns the source of the function body
+ */
+const compiler = function (trace, tokens, labels, dialect, limits) {
+    trace.push('compiler');
+
+    // positions of the operations, in order, and where blocks start
+    const positions = [];
+    const leaders = new Set([0]);
+    for (let i=0; i<tokens.length; ++i) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        positions.push(i);
+
+        if (OPCODES.LBL === code) {
+            leaders.add(i + 2);
+        }
+
+        const comparison = (OPCODES.EQL === code || OPCODES.LSS === code || OPCODES.GR8 === code);
+        if (DIALECTS.ORIGINAL === dialect && true === comparison && undefined !== tokens[i + 1]) {
+            const next = OPCODES.get(trace, tokens[i + 1].value);
+            leaders.add(i + 1 + (OPCODES.parameterized(trace, next, dialect) ? 2 : 1));
+        }
+
+        if (OPCODES.parameterized(trace, code, dialect)) {
+            i = i + 1;
+        }
+    }
+
+    // move to the given position, possibly ending the program
+    const go = (position) => ((position >= tokens.length) ? 'break run;' : `block = ${position}; continue run;`);
+
+    const lines = [];
+    const emit = (...more) => {
+        lines.push(...more.map((e) => (`                ${e}`)));
+    };
+
+    for (let i of positions) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const argument = tokens[i + 1];
+        const name = OPCODES.name(code);
+        const fail = (message) => (`throw new OpcodeError(tokens[${i}], '${message}');`);
+        const needs = (n) => {
+            emit((1 === n) ? `if (0 === abyss.length) { ${fail('not enough bubbles')} }`
+                : `if (${n} > abyss.length) { ${fail('not enough bubbles')} }`);
+        };
+
+        if (leaders.has(i)) {
+            lines.push(`            case ${i}:`);
+        }
+        emit(`// ${i}: ${name}`, `current = ${i};`);
+
+        // what to do once the operation is accounted for
+        let then = null;
+        let produces = false;
+
+        if (true === OPCODES.parameterized(trace, code, dialect) && undefined === argument) {
+            emit(fail('not enough arguments'));
+            continue;
+        }
+
+        switch (code) {
+        case OPCODES.NOP:
+        case OPCODES.LBL:
+            break;
+        case OPCODES.PRN:
+            needs(1);
+            emit('result = inout.write(trace, abyss.pop());');
+            emit(`if (null !== inout.backlog) { await inout.drain(trace, tokens[${i}]); }`);
+            produces = true;
+            break;
+        case OPCODES.PR1:
+            needs(1);
+            emit('result = inout.writeRaw(trace, abyss.pop());');
+            emit(`if (null !== inout.backlog) { await inout.drain(trace, tokens[${i}]); }`);
+            produces = true;
+            break;
+        case OPCODES.RED:
+            emit(`result = await inout.read(trace, tokens[${i}]);`);
+            produces = true;
+            break;
+        case OPCODES.R3D:
+            emit(`result = await inout.readRaw(trace, tokens[${i}]);`);
+            produces = true;
+            break;
+        case OPCODES.BLO:
+            emit(`result = new Bubble(numeric.from(${argument.value}));`);
+            produces = true;
+            break;
+        case OPCODES.SBM:
+            needs(1);
+            emit(`result = abysser.submerge(trace, ${argument.value});`);
+            produces = true;
+            break;
+        case OPCODES.POP:
+            needs(1);
+            emit('result = abysser.pop(trace, abyss.pop());');
+            produces = true;
+            break;
+        case OPCODES.DPL:
+            needs(1);
+            emit('result = abysser.duplicate(trace, abyss.pop());');
+            produces = true;
+            break;
+        case OPCODES.SRN:
+            emit(`if (${argument.value} > abyss.length) { ${fail('not enough bubbles')} }`);
+            emit(`result = abysser.surround(trace, ${argument.value});`);
+            produces = true;
+            break;
+        case OPCODES.MRG:
+            needs(2);
+            emit('result = abysser.merge(trace, abyss.pop(), abyss.pop());');
+            produces = true;
+            break;
+        case OPCODES.DD4:
+            needs(2);
+            emit('result = Arith.add(trace, abyss.pop(), abyss.pop(), numeric);');
+            produces = true;
+            break;
+        case OPCODES.SUB:
+            needs(2);
+            emit('result = Arith.sub(trace, abyss.pop(), abyss.pop(), numeric);');
+            produces = true;
+            break;
+        case OPCODES.MUL:
+            needs(2);
+            emit('result = Arith.mul(trace, abyss.pop(), abyss.pop(), numeric);');
+            produces = true;
+            break;
+        case OPCODES.DIV:
+            needs(2);
+            emit('result = Arith.div(trace, abyss.pop(), abyss.pop(), numeric);');
+            produces = true;
+            break;
+        case OPCODES.CNT:
+            needs(1);
+            emit('result = new Bubble(numeric.from(abyss[abyss.length - 1].size()));');
+            produces = true;
+            break;
+        case OPCODES.JMP:
+            // unregistered labels are ignored, as in the interpreter
+            if (undefined !== labels[argument.value]) {
+                then = go(labels[argument.value] + 1);
+            }
+            break;
+        case OPCODES.EQL:
+        case OPCODES.LSS:
+        case OPCODES.GR8:
+        case OPCODES.EQZ: {
+            if (OPCODES.EQZ === code && DIALECTS.ORIGINAL === dialect) {
+                emit(fail('invalid opcode'));
+                continue;
+            }
+
+            needs((OPCODES.EQZ === code) ? 1 : 2);
+            const method = { [OPCODES.EQL]: 'equal', [OPCODES.LSS]: 'less', [OPCODES.GR8]: 'greater', [OPCODES.EQZ]: 'zero' }[code];
+            const operands = (OPCODES.EQZ === code) ? 'abyss[abyss.length - 1], numeric'
+                : 'abyss[abyss.length - 1], abyss[abyss.length - 2], compare';
+            emit(`outcome = Comparator.${method}(trace, ${operands});`);
+
+            if (DIALECTS.ORIGINAL === dialect) {
+                // skip the next operation, along with its argument, if false
+                if (undefined !== argument) {
+                    const next = OPCODES.get(trace, argument.value);
+                    then = `if (false === outcome) { ${go(i + 1 + (OPCODES.parameterized(trace, next, dialect) ? 2 : 1))} }`;
+                }
+            } else if (undefined !== labels[argument.value]) {
+                then = `if (true === outcome) { ${go(labels[argument.value] + 1)} }`;
+            }
+            break;
+        }
+        case OPCODES.TRM:
+            then = 'break run;';
+            break;
+        default:
+            emit(fail('invalid opcode'));
+            continue;
+        }
+
+        // push the result, then check the limits
+        if (true === produces) {
+            emit('depth = abyss.length;',
+                 'if (null !== result) { if (Array.isArray(result)) { abyss.push(...result); } else { abyss.push(result); } }',
+                 'result = null;');
+        }
+
+        emit('executed = executed + 1;');
+        if (Infinity !== limits.operations) {
+            emit(`if (executed >= limits.operations) { throw new LimitError('operations', \`too many operations (limit \${limits.operations})\`, tokens[${i}]); }`);
+        }
+        if (Infinity !== limits.abyssDepth) {
+            emit(`if (abyss.length > limits.abyssDepth) { throw new LimitError('abyssDepth', \`abyss too deep (limit \${limits.abyssDepth})\`, tokens[${i}]); }`);
+        }
+        if (Infinity !== limits.bubbleSize && true === produces) {
+            emit(`for (let k=depth; k<abyss.length; ++k) { if (abyss[k].size() > limits.bubbleSize) { throw new LimitError('bubbleSize', \`bubble too large (limit \${limits.bubbleSize})\`, tokens[${i}]); } }`);
+        }
+        if (Infinity !== limits.wallClockMs) {
+            emit(`if (Date.now() - started > limits.wallClockMs) { throw new LimitError('wallClockMs', \`too much time (limit \${limits.wallClockMs} ms)\`, tokens[${i}]); }`);
+        }
+
+        if (null !== then) {
+            emit(then);
+        }
+    }
+
+    const source = [
+        'const { tokens, labels, limits, compare, numeric, charset, Bubble, Arith, Comparator, Abysser, InOut, OpcodeError, LimitError, located } = runtime;',
+        'const abyss = context.abyss;',
+        'const trace = context.trace;',
+        'const inout = new InOut(stdin, stdout, undefined, numeric, charset);',
+        'const abysser = new Abysser(abyss);',
+        'const started = Date.now();',
+        'inout.wallClockMs = limits.wallClockMs;',
+        'inout.deadline = started + limits.wallClockMs;',
+        'let block = 0;',
+        'let current = 0;',
+        'let result = null;',
+        'let outcome = false;',
+        'let depth = 0;',
+        'let executed = context.executed;',
+        'try {',
+        '    run: for (;;) {',
+        '        switch (block) {',
+        ...lines.map((e) => (e.slice(4))),
+        '        }',
+        '        break;',
+        '    }',
+        '} catch (e) {',
+        '    context.executed = executed;',
+        '    throw located(e, tokens, current);',
+        '}',
+        'context.executed = executed;',
+    ].join('\n');
+
+    trace.pop();
+    return source;
+};
+
+/**
+ * Opcodes the WebAssembly backend cannot translate.
+ *
+ * Modules keep only numbers in the abyss, so operations building
+ * double bubbles are left out.
+ */
+const WASM_UNSUPPORTED = [OPCODES.RED, OPCODES.SRN, OPCODES.MRG, OPCODES.DIV];
+
+/**
+ * Failures reported by WebAssembly modules, by code.
+ *
+ * Modules call the host with the code and the cursor of the failing
+ * operation, the host throws the error.
+ */
+const WASM_FAILURES = [
+    (token) => (new OpcodeError(token, 'not enough bubbles')),
+    (token) => (new OpcodeError(token, 'not enough arguments')),
+    (token) => (new OpcodeError(token, 'invalid opcode')),
+    (token, limits) => (new LimitError('operations', `too many operations (limit ${limits.operations})`, token)),
+    (token, limits) => (new LimitError('abyssDepth', `abyss too deep (limit ${limits.abyssDepth})`, token)),
+    (token, limits) => (new LimitError('wallClockMs', `too much time (limit ${limits.wallClockMs} ms)`, token)),
+];
+
+/**
+ * Translate a sequence of tokens into a WebAssembly module.
+ *
+ * The abyss lives at the start of the linear memory as an array of
+ * 64 bits floats, growing as needed; the exported `sp` global tells
+ * how many bubbles it holds, the exported `executed` global how many
+ * operations were executed.
+ *
+ * As in `compiler`, the program is split into basic blocks, here
+ * reached through a `br_table` within a loop. The exported `run`
+ * function executes the program until it ends, returning 0, or until
+ * `R3D` needs a number, returning the cursor of the operation plus
+ * one: the host then calls `run` again with the number, and the
+ * program goes on from there.
+ *
+ * Modules import from `host` the functions `fail(code, cursor)`,
+ * throwing the error of `WASM_FAILURES`, `prn(value, cursor)` and
+ * `pr1(value, cursor)`, writing a value, and `now()`, giving the
+ * current time in milliseconds.
+ *
+ * @param trace interpreter stack trace
+ * @param tokens the sequence of tokens
+ * @param labels the jump labels, as given by `labeler`
+ * @param dialect the dialect the tokens were parsed with
+ * @param limits the limits of the execution, as in `LIMITS`
+ * @returns the bytes of the module
+ * @throws a type error if an operation is not supported
+ */
+const wasmer = function (trace, tokens, labels, dialect, limits) {
+    trace.push('wasmer');
+
+    // positions of the operations, in order, and where blocks start
+    const positions = [];
+    const leaders = new Set([0]);
+    for (let i=0; i<tokens.length; ++i) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        positions.push(i);
+
+        if (WASM_UNSUPPORTED.includes(code)) {
+            const token = tokens[i];
+            throw new TypeError(`(${OPCODES.name(code)}) not supported in WebAssembly (${token.where()})\n${token.excerpt()}`);
+        }
+
+        if (OPCODES.LBL === code) {
+            leaders.add(i + 2);
+        }
+
+        // reading suspends the program, which goes on from there
+        if (OPCODES.R3D === code) {
+            leaders.add(i);
+        }
+
+        const comparison = (OPCODES.EQL === code || OPCODES.LSS === code || OPCODES.GR8 === code);
+        if (DIALECTS.ORIGINAL === dialect && true === comparison && undefined !== tokens[i + 1]) {
+            const next = OPCODES.get(trace, tokens[i + 1].value);
+            leaders.add(i + 1 + (OPCODES.parameterized(trace, next, dialect) ? 2 : 1));
+        }
+
+        if (OPCODES.parameterized(trace, code, dialect)) {
+            i = i + 1;
+        }
+    }
+
+    // index of each block by position, past the end the program ends
+    const blocks = new Map();
+    for (let i of positions) {
+        if (leaders.has(i)) {
+            blocks.set(i, blocks.size);
+        }
+    }
+    const count = blocks.size;
+
+    // binary encodings
+    const unsigned = (n) => {
+        const bytes = [];
+        do {
+            const b = n & 0x7f;
+            n = n >>> 7;
+            bytes.push((0 === n) ? b : (b | 0x80));
+        } while (0 !== n);
+        return bytes;
+    };
+    const signed = (n) => {
+        const bytes = [];
+        for (;;) {
+            const b = n & 0x7f;
+            n = n >> 7;
+            if ((0 === n && 0 === (b & 0x40)) || (-1 === n && 0 !== (b & 0x40))) {
+                bytes.push(b);
+                return bytes;
+            }
+            bytes.push(b | 0x80);
+        }
+    };
+    const float = (v) => ([...new Uint8Array(new Float64Array([v]).buffer)]);
+    const name = (s) => ([...unsigned(s.length), ...[...s].map((c) => (c.charCodeAt(0)))]);
+    const vector = (items) => ([...unsigned(items.length), ...items.flat()]);
+    const section = (id, bytes) => ([id, ...unsigned(bytes.length), ...bytes]);
+
+    const I32 = 0x7f;
+    const F64 = 0x7c;
+    // functions, imported first
+    const FAIL = 0;
+    const PRN = 1;
+    const PR1 = 2;
+    const NOW = 3;
+    const PUSH = 4;
+    const POP = 5;
+    const RUN = 6;
+    // globals
+    const SP = 0;
+    const EXECUTED = 1;
+    const BLOCK = 2;
+    const WAITING = 3;
+    const STARTED = 4;
+    // locals of run: the input, the block, an index and a value
+    const INPUT = 0;
+    const B = 1;
+    const I = 2;
+    const V = 3;
+
+    // instructions
+    const block = [0x02, 0x40];
+    const loop = [0x03, 0x40];
+    const when = [0x04, 0x40];
+    const end = [0x0b];
+    const unreachable = [0x00];
+    const ret = [0x0f];
+    const drop = [0x1a];
+    const br = (depth) => ([0x0c, ...unsigned(depth)]);
+    const call = (f) => ([0x10, ...unsigned(f)]);
+    const localGet = (l) => ([0x20, ...unsigned(l)]);
+    const localSet = (l) => ([0x21, ...unsigned(l)]);
+    const localTee = (l) => ([0x22, ...unsigned(l)]);
+    const globalGet = (g) => ([0x23, ...unsigned(g)]);
+    const globalSet = (g) => ([0x24, ...unsigned(g)]);
+    const load = [0x2b, 0x03, 0x00];
+    const store = [0x39, 0x03, 0x00];
+    const memorySize = [0x3f, 0x00];
+    const memoryGrow = [0x40, 0x00];
+    const memoryCopy = [0xfc, 0x0a, 0x00, 0x00];
+    const i32 = (v) => ([0x41, ...signed(v)]);
+    const f64 = (v) => ([0x44, ...float(v)]);
+    const i32Eqz = [0x45];
+    const i32LtS = [0x48];
+    const i32GtS = [0x4a];
+    const i32GtU = [0x4b];
+    const f64Eq = [0x61];
+    const f64Lt = [0x63];
+    const f64Gt = [0x64];
+    const f64Ge = [0x66];
+    const i32Add = [0x6a];
+    const i32Sub = [0x6b];
+    const i32Shl = [0x74];
+    const f64Add = [0xa0];
+    const f64Sub = [0xa1];
+    const f64Mul = [0xa2];
+    const f64FromI32 = [0xb7];
+
+    // turn the index of a bubble into its address
+    const address = [...i32(3), ...i32Shl];
+    // the value of the bubble at the given distance from the top
+    const peek = (distance) => ([...globalGet(SP), ...i32(distance + 1), ...i32Sub, ...address, ...load]);
+
+    // push(value), growing the memory when full
+    const push = [
+        ...globalGet(SP), ...i32(1), ...i32Add, ...address,
+        ...memorySize, ...i32(16), ...i32Shl, ...i32GtU, ...when,
+        ...i32(1), ...memoryGrow, ...i32(0), ...i32LtS, ...when, ...unreachable, ...end,
+        ...end,
+        ...globalGet(SP), ...address, ...localGet(0), ...store,
+        ...globalGet(SP), ...i32(1), ...i32Add, ...globalSet(SP),
+        ...end,
+    ];
+
+    // pop(), giving the value on top
+    const pop = [
+        ...globalGet(SP), ...i32(1), ...i32Sub, ...globalSet(SP),
+        ...globalGet(SP), ...address, ...load,
+        ...end,
+    ];
+
+    const body = [];
+    const emit = (...more) => {
+        for (let e of more) {
+            body.push(...e);
+        }
+    };
+
+    const fail = (code, cursor) => ([...i32(code), ...i32(cursor), ...call(FAIL), ...unreachable]);
+    const needs = (n, cursor) => ([...globalGet(SP), ...i32(n), ...i32LtS, ...when, ...fail(0, cursor), ...end]);
+
+    // move to the given position from block k, within as many ifs as
+    // nesting, possibly ending the program
+    const go = (position, k, nesting) => {
+        if (false === blocks.has(position)) {
+            return br(count - k + nesting);
+        }
+
+        return [...i32(blocks.get(position)), ...localSet(B), ...br(count - 1 - k + nesting)];
+    };
+
+    // the code of each block follows the end of its own wasm block,
+    // so that the table jumps right to it
+    if (0 < count) {
+        emit(block, loop);
+        for (let k=0; k<count; ++k) {
+            emit(block);
+        }
+        emit(localGet(B), [0x0e], vector([...blocks.values()].map((k) => (unsigned(k)))), unsigned(0), end);
+    }
+
+    let k = 0;
+    for (let i of positions) {
+        const code = OPCODES.get(trace, tokens[i].value);
+        const argument = tokens[i + 1];
+
+        if (0 < blocks.get(i)) {
+            emit(end);
+            k = blocks.get(i);
+        }
+
+        if (true === OPCODES.parameterized(trace, code, dialect) && undefined === argument) {
+            emit(fail(1, i));
+            continue;
+        }
+
+        // what to do once the operation is accounted for
+        let then = [];
+
+        switch (code) {
+        case OPCODES.NOP:
+        case OPCODES.LBL:
+            break;
+        case OPCODES.PRN:
+        case OPCODES.PR1:
+            emit(needs(1, i), call(POP), i32(i), call((OPCODES.PRN === code) ? PRN : PR1));
+            break;
+        case OPCODES.R3D:
+            // return to the host the first time, push its number the second
+            emit(globalGet(WAITING), i32Eqz, when,
+                 i32(1), globalSet(WAITING), i32(blocks.get(i)), globalSet(BLOCK), i32(i + 1), ret,
+                 end,
+                 i32(0), globalSet(WAITING), localGet(INPUT), call(PUSH));
+            break;
+        case OPCODES.BLO:
+            emit(f64(argument.value), call(PUSH));
+            break;
+        case OPCODES.SBM:
+            emit(needs(1, i), call(POP), localSet(V));
+            if (0 === argument.value) {
+                emit(i32(0), localSet(I));
+            } else {
+                // where splice would insert the bubble
+                emit(globalGet(SP), i32(argument.value), i32Sub, localTee(I), i32(0), i32LtS, when,
+                     globalGet(SP), localGet(I), i32Add, localSet(I), end,
+                     localGet(I), i32(0), i32LtS, when, i32(0), localSet(I), end,
+                     localGet(I), globalGet(SP), i32GtS, when, globalGet(SP), localSet(I), end);
+            }
+            // move the bubbles above one place up, then store
+            emit(f64(0), call(PUSH),
+                 localGet(I), i32(1), i32Add, address,
+                 localGet(I), address,
+                 globalGet(SP), i32(1), i32Sub, localGet(I), i32Sub, address,
+                 memoryCopy,
+                 localGet(I), address, localGet(V), store);
+            break;
+        case OPCODES.POP:
+            emit(needs(1, i), call(POP), drop);
+            break;
+        case OPCODES.DPL:
+            emit(needs(1, i), peek(0), call(PUSH));
+            break;
+        case OPCODES.DD4:
+        case OPCODES.SUB:
+        case OPCODES.MUL: {
+            const arith = { [OPCODES.DD4]: f64Add, [OPCODES.SUB]: f64Sub, [OPCODES.MUL]: f64Mul }[code];
+            emit(needs(2, i), call(POP), call(POP), arith, call(PUSH));
+            break;
+        }
+        case OPCODES.CNT:
+            // single bubbles have a size of 0
+            emit(needs(1, i), f64(0), call(PUSH));
+            break;
+        case OPCODES.JMP:
+            // unregistered labels are ignored, as in the interpreter
+            if (undefined !== labels[argument.value]) {
+                then = go(labels[argument.value] + 1, k, 0);
+            }
+            break;
+        case OPCODES.EQL:
+        case OPCODES.LSS:
+        case OPCODES.GR8:
+        case OPCODES.EQZ: {
+            if (OPCODES.EQZ === code && DIALECTS.ORIGINAL === dialect) {
+                emit(fail(2, i));
+                continue;
+            }
+
+            if (OPCODES.EQZ === code) {
+                emit(needs(1, i), peek(0), f64(0), f64Eq);
+            } else {
+                const compare = { [OPCODES.EQL]: f64Eq, [OPCODES.LSS]: f64Lt, [OPCODES.GR8]: f64Gt }[code];
+                emit(needs(2, i), peek(0), peek(1), compare);
+            }
+            emit(localSet(I));
+
+            if (DIALECTS.ORIGINAL === dialect) {
+                // skip the next operation, along with its argument, if false
+                if (undefined !== argument) {
+                    const next = OPCODES.get(trace, argument.value);
+                    const position = i + 1 + (OPCODES.parameterized(trace, next, dialect) ? 2 : 1);
+                    then = [...localGet(I), ...i32Eqz, ...when, ...go(position, k, 1), ...end];
+                }
+            } else if (undefined !== labels[argument.value]) {
+                then = [...localGet(I), ...when, ...go(labels[argument.value] + 1, k, 1), ...end];
+            }
+            break;
+        }
+        case OPCODES.TRM:
+            then = br(count - k);
+            break;
+        default:
+            emit(fail(2, i));
+            continue;
+        }
+
+        // account for the operation, then check the limits
+        emit(globalGet(EXECUTED), f64(1), f64Add, globalSet(EXECUTED));
+        if (Infinity !== limits.operations) {
+            emit(globalGet(EXECUTED), f64(limits.operations), f64Ge, when, fail(3, i), end);
+        }
+        if (Infinity !== limits.abyssDepth) {
+            emit(globalGet(SP), f64FromI32, f64(limits.abyssDepth), f64Gt, when, fail(4, i), end);
+        }
+        if (Infinity !== limits.wallClockMs) {
+            emit(call(NOW), globalGet(STARTED), f64Sub, f64(limits.wallClockMs), f64Gt, when, fail(5, i), end);
+        }
+
+        emit(then);
+    }
+
+    if (0 < count) {
+        emit(end, end);
+    }
+
+    // the clock starts with the first call, then go on from the block
+    const run = [
+        ...globalGet(STARTED), ...f64(0), ...f64Eq, ...when, ...call(NOW), ...globalSet(STARTED), ...end,
+        ...globalGet(BLOCK), ...localSet(B),
+        ...body,
+        ...i32(0),
+        ...end,
+    ];
+    const locals = vector([[2, I32], [1, F64]]);
+
+    const bytes = [
+        // magic number and version
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        // types: fail, prn and pr1, now and pop, push, run
+        ...section(1, vector([
+            [0x60, ...vector([[I32], [I32]]), ...vector([])],
+            [0x60, ...vector([[F64], [I32]]), ...vector([])],
+            [0x60, ...vector([]), ...vector([[F64]])],
+            [0x60, ...vector([[F64]]), ...vector([])],
+            [0x60, ...vector([[F64]]), ...vector([[I32]])],
+        ])),
+        ...section(2, vector([
+            [...name('host'), ...name('fail'), 0x00, 0],
+            [...name('host'), ...name('prn'), 0x00, 1],
+            [...name('host'), ...name('pr1'), 0x00, 1],
+            [...name('host'), ...name('now'), 0x00, 2],
+        ])),
+        ...section(3, vector([[3], [2], [4]])),
+        ...section(5, vector([[0x00, 1]])),
+        ...section(6, vector([
+            [I32, 1, ...i32(0), ...end],
+            [F64, 1, ...f64(0), ...end],
+            [I32, 1, ...i32(0), ...end],
+            [I32, 1, ...i32(0), ...end],
+            [F64, 1, ...f64(0), ...end],
+        ])),
+        ...section(7, vector([
+            [...name('run'), 0x00, RUN],
+            [...name('memory'), 0x02, 0],
+            [...name('sp'), 0x03, SP],
+            [...name('executed'), 0x03, EXECUTED],
+        ])),
+        ...section(10, vector([
+            [...unsigned(push.length + 1), 0, ...push],
+            [...unsigned(pop.length + 1), 0, ...pop],
+            [...unsigned(locals.length + run.length), ...locals, ...run],
+        ])),
+    ];
+
+    trace.pop();
+    return new Uint8Array(bytes);
+};
+
+/**
+ * Input reader backed by an array.
+ */
+class ArrayReader {
+    /**
+     * @param backing the array to read from
+     */
+    constructor(backing) {
+        this.backing = [...backing];
+        this.line = -1;
+    }
+
+    /**
+     * Return a string from the backing array.
+     *
+     * @param signal an abort signal, ignored as reading never waits
+     * @returns a string, can be empty
+     */
+    async read(signal) {
+        this.line = this.line + 1;
+        return (undefined === this.backing[this.line]) ? '' : this.backing[this.line];
+    }
+
+    /**
+     * Reset the reader to read from the first line again.
+     *
+     * @returns this
+     */
+    reset() {
+        this.line = -1;
+        return this;
+    }
+};
+
+/**
+ * Input reader able to wait from users.
+ *
+ * This reader takes its lines from a DOM node, which can be an actual
+ * user interface where users can write in freely.
+ *
+ * To ensure users are actually able to type in something, this
+ * function will suspend the interpreter until a second DOM node is
+ * activated with a `click` event.
+ *
+ * The DOM node must support the `value` property, effectively
+ * limiting it only to `<input>` and `<textarea>` elements.
+ */
+class DOMReader {
+    /**
+     * @param node the node to read from
+     * @param actor the node restarting the interpreter
+     */
+    constructor(node, actor) {
+        this.backing = node;
+        this.button = actor;
+    }
+
+    /**
+     * Return a string from the backing DOM node.
+     *
+     * Before reading begins, this method will generate an event
+     * called `awa5:prompt`; after the value has been received, it
+     * will generated an event called `awa5:processing`.
+     *
+     * These events can be used to manipulate a user interface or
+     * similar actions.
+     *
+     * If an abort signal is given, aborting it stops waiting for the
+     * click and rejects with the reason of the signal.
+     *
+     * @param signal an abort signal, if any
+     * @returns a string, can be empty
+     */
+    async read(signal) {
+        let listener = null;
+        let abort = null;
+        let promise = new Promise((resolve, reject) => {
+            listener = (e) => { resolve(this.backing.value); };
+            abort = (e) => { reject(signal.reason); };
+
+            this.button.addEventListener('click', listener);
+            if (signal) {
+                signal.addEventListener('abort', abort);
+            }
+        });
+
+        const cleanup = () => {
+            this.button.removeEventListener('click', listener);
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        };
+
+        if (signal && true === signal.aborted) {
+            cleanup();
+            throw signal.reason;
+        }
+
+        const prompt = new CustomEvent('awa5:prompt', {
+            bubbles: true,
+            detail: {
+                node: this.backing,
+                actor: this.button,
+            }
+        });
+        this.backing.dispatchEvent(prompt);
+
+        // "block" the script/interpreter until the click listener on actor/button is executed
+        let value = null;
+        try {
+            value = await promise;
+        } finally {
+            cleanup();
+        }
+
+        const processing = new CustomEvent('awa5:processing', {
+            bubbles: true,
+            detail: {
+                node: this.backing,
+                actor: this.button,
+                value: value,
+            },
+        });
+        this.backing.dispatchEvent(processing);
+
+        return value;
+    }
+
+    /**
+     * Reset the reader to read from the first line again.
+     *
+     * @returns this
+     */
+    reset() {
+        // nothing to reset, but it keeps the interface uniform
+        return this;
+    }
+};
+
+/**
+ * Output writer backed by an array.
+ */
+class ArrayWriter {
+    /**
+     * @param backing the array to write to
+     */
+    constructor(backing) {
+        this.backing = backing;
+    }
+
+    /**
+     * Write (push) a line inside the backing array.
+     *
+     * @param line the line to push
+     * @returns this
+     */
+    write(line) {
+        this.backing.push(line);
+        return this;
+    }
+};
+
+/**
+ * Output writer backed by a DOM node.
+ *
+ * This writer will try to append some text to the specified DOM node.
+ * Lines are always written as text, never parsed as HTML, so programs
+ * printing `<` cannot inject markup; newlines become `<br>` elements,
+ * except in `<pre>` and form fields where they are kept as they are.
+ *
+ * Not every DOM node is suitable: only `<input type="text">`, `<textarea>`,
+ * `<div>`, `<span>`, `<p>` and `<pre>` are supported.
+ */
+class DOMWriter {
+    /**
+     * Options are an object with the following properties, all of
+     * them optional:
+     *
+     * - `scroll`: whether to scroll the node to the bottom after each
+     *   write, as terminals do, false by default;
+     * - `scrollback`: how many lines the node keeps, the oldest ones
+     *   being removed first, unlimited by default;
+     * - `errorClass`: the CSS class of the elements holding the text
+     *   written by `error`, none by default.
+     *
+     * @param node the node to write to
+     * @param options the writer options
+     * @throws a type error if the DOM node is not supported, or if the
+     *   error class is not a string
+     * @throws a range error if the scrollback is not valid
+     */
+    constructor(node, options) {
+        const tag = node.tagName.toLowerCase();
+
+        switch (tag) {
+        case 'input':
+            if ('text' !== node.type) {
+                throw new TypeError('not a valid DOM node');
+            }
+            break;
+        case 'textarea':
+        case 'div':
+        case 'span':
+        case 'p':
+        case 'pre':
+            break;
+        default:
+            throw new TypeError('not a valid DOM node');
+        }
+
+        this.backing = node;
+
+        // form fields hold a value, other nodes hold children
+        this.field = ('input' === tag || 'textarea' === tag);
+        this.preformatted = ('pre' === tag);
+
+        const settings = (options && 'object' === typeof options) ? options : {};
+
+        this.scroll = (true === settings.scroll);
+
+        this.scrollback = Infinity;
+        if (undefined !== settings.scrollback) {
+            this.scrollback = settings.scrollback;
+            if ((false === Number.isInteger(this.scrollback) && Infinity !== this.scrollback) || this.scrollback < 1) {
+                throw new RangeError('invalid value for scrollback');
+            }
+        }
+
+        this.errorClass = null;
+        if (undefined !== settings.errorClass) {
+            if ('string' !== typeof settings.errorClass) {
+                throw new TypeError('errorClass is not a string');
+            }
+            this.errorClass = settings.errorClass;
+        }
+
+        // line breaks within the node, to enforce the scrollback
+        this.breaks = (true === this.field) ? 0 : this.count(node);
+    }
+
+    /**
+     * Write (append) a line inside the backing DOM node.
+     *
+     * @param line the line to push
+     * @returns this
+     */
+    write(line) {
+        return this.append(`${line}`, null);
+    }
+
+    /**
+     * Write (append) an error inside the backing DOM node.
+     *
+     * The text is held by a `<span>` with the error class, if any, so
+     * that it can be told apart from the output of programs; form
+     * fields cannot be styled, so they get plain text.
+     *
+     * @param text the error to write, e.g. the message of an error
+     * @returns this
+     */
+    error(text) {
+        return this.append(`${text}`, this.errorClass);
+    }
+
+    /**
+     * Remove everything written inside the backing DOM node.
+     *
+     * @returns this
+     */
+    clear() {
+        if (true === this.field) {
+            this.backing.value = '';
+        } else {
+            this.backing.replaceChildren();
+            this.breaks = 0;
+        }
+
+        return this;
+    }
+
+    /**
+     * Append text to the node, within an element of the given class.
+     *
+     * @param text the text to append
+     * @param className the CSS class of the element holding the text,
+     *   null to append the text right into the node
+     * @returns this
+     */
+    append(text, className) {
+        if (0 === text.length) {
+            return this;
+        }
+
+        if (true === this.field) {
+            let value = this.backing.value + text;
+            if (Infinity !== this.scrollback) {
+                const lines = value.split('\n');
+                if (lines.length > this.scrollback) {
+                    value = lines.slice(-this.scrollback).join('\n');
+                }
+            }
+            this.backing.value = value;
+        } else {
+            const document = this.backing.ownerDocument;
+
+            let parent = this.backing;
+            if (null !== className) {
+                parent = document.createElement('span');
+                parent.className = className;
+                this.backing.appendChild(parent);
+            }
+
+            const parts = text.split('\n');
+            for (let i=0; i<parts.length; ++i) {
+                if (0 !== i) {
+                    parent.appendChild((true === this.preformatted) ? document.createTextNode('\n') : document.createElement('br'));
+                    this.breaks = this.breaks + 1;
+                }
+                if ('' !== parts[i]) {
+                    parent.appendChild(document.createTextNode(parts[i]));
+                }
+            }
+
+            // drop the oldest lines, one at a time
+            while (this.breaks >= this.scrollback && true === this.drop(this.backing)) {
+                this.breaks = this.breaks - 1;
+            }
+        }
+
+        if (true === this.scroll) {
+            this.backing.scrollTop = this.backing.scrollHeight;
+        }
+
+        return this;
+    }
+
+    /**
+     * Remove the first line within a node, up to its first line break.
+     *
+     * Elements holding the break, as the spans of errors, lose only
+     * what comes before it and the break itself.
+     *
+     * @param node the node to remove the line from
+     * @returns false if there was no line break to remove
+     */
+    drop(node) {
+        while (null !== node.firstChild) {
+            const first = node.firstChild;
+
+            if ('BR' === first.nodeName) {
+                node.removeChild(first);
+                return true;
+            }
+
+            if (3 === first.nodeType) {
+                const at = (true === this.preformatted) ? first.nodeValue.indexOf('\n') : -1;
+                if (-1 === at) {
+                    node.removeChild(first);
+                    continue;
+                }
+
+                first.nodeValue = first.nodeValue.slice(at + 1);
+                if (0 === first.nodeValue.length) {
+                    node.removeChild(first);
+                }
+                return true;
+            }
+
+            if (0 === this.count(first)) {
+                node.removeChild(first);
+                continue;
+            }
+
+            this.drop(first);
+            if (null === first.firstChild) {
+                node.removeChild(first);
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Count the line breaks within a node.
+     *
+     * @param node the node to look into
+     * @returns how many line breaks it holds
+     */
+    count(node) {
+        if ('BR' === node.nodeName) {
+            return 1;
+        }
+        if (3 === node.nodeType) {
+            return (true === this.preformatted) ? node.nodeValue.split('\n').length - 1 : 0;
+        }
+
+        let breaks = 0;
+        for (let child of node.childNodes) {
+            breaks = breaks + this.count(child);
+        }
+
+        return breaks;
+    }
+};
+
+/**
+ * Input reader backed by a Node stream.
+ *
+ * Lines are read from any `Readable` only when asked for, so the
+ * interpreter waits between reads until the stream gives a whole
+ * line, or ends; the last line needs no trailing newline, and
+ * carriage returns before newlines are dropped.
+ */
+class StreamReader {
+    /**
+     * @param stream the stream to read from
+     * @throws a type error if the stream is not readable
+     */
+    constructor(stream) {
+        if (!stream || 'function' !== typeof stream.read || 'function' !== typeof stream.on) {
+            throw new TypeError('not a valid stream');
+        }
+
+        this.backing = stream;
+
+        // characters read but not returned yet
+        this.pending = '';
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * Return the next line of the stream, waiting for it if needed.
+     *
+     * If an abort signal is given, aborting it stops waiting and
+     * rejects with the reason of the signal.
+     *
+     * @param signal an abort signal, if any
+     * @returns a string, empty once the stream has ended
+     * @throws the error of the stream, if it fails
+     */
+    async read(signal) {
+        for (;;) {
+            const newline = this.pending.indexOf('\n');
+            if (-1 !== newline) {
+                const line = this.pending.substring(0, newline).replace(/\r$/, '');
+                this.pending = this.pending.substring(newline + 1);
+                return line;
+            }
+
+            if (this.backing.errored) {
+                throw this.backing.errored;
+            }
+            if (true === this.backing.readableEnded || true === this.backing.destroyed) {
+                const line = this.pending + this.decoder.decode();
+                this.pending = '';
+                return line;
+            }
+
+            const chunk = this.backing.read();
+            if (null !== chunk) {
+                this.pending += ('string' === typeof chunk) ? chunk : this.decoder.decode(chunk, { stream: true });
+                continue;
+            }
+
+            await this.wait(signal);
+        }
+    }
+
+    /**
+     * Wait until the stream has something new to tell.
+     *
+     * @param signal an abort signal, if any
+     * @returns a promise resolved once the stream is readable, ended
+     *   or closed
+     */
+    wait(signal) {
+        return new Promise((resolve, reject) => {
+            const events = ['readable', 'end', 'close', 'error'];
+
+            const listener = () => {
+                cleanup();
+                resolve();
+            };
+            const abort = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+            const cleanup = () => {
+                for (let name of events) {
+                    this.backing.removeListener(name, listener);
+                }
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+            };
+
+            if (signal && true === signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            // errors are thrown by read once the stream has settled
+            for (let name of events) {
+                this.backing.on(name, listener);
+            }
+            if (signal) {
+                signal.addEventListener('abort', abort);
+            }
+        });
+    }
+
+    /**
+     * Reset the reader, which cannot rewind its stream.
+     *
+     * @returns this
+     */
+    reset() {
+        // nothing to reset, but it keeps the interface uniform
+        return this;
+    }
+};
+
+/**
+ * Output writer backed by a Node stream.
+ *
+ * Lines are written as they are to any `Writable`, without adding
+ * newlines. When the stream asks to stop, by returning false from
+ * `write`, the writer gives a promise resolved once the stream
+ * drains, and the interpreter waits for it before going on.
+ */
+class StreamWriter {
+    /**
+     * @param stream the stream to write to
+     * @throws a type error if the stream is not writable
+     */
+    constructor(stream) {
+        if (!stream || 'function' !== typeof stream.write || 'function' !== typeof stream.once) {
+            throw new TypeError('not a valid stream');
+        }
+
+        this.backing = stream;
+
+        // promise of the last line written being handled, if any
+        this.written = null;
+    }
+
+    /**
+     * Write a line to the backing stream.
+     *
+     * @param line the line to write
+     * @returns this, or a promise resolved once the stream drains if
+     *   it is full
+     */
+    write(line) {
+        const text = `${line}`;
+        if (0 === text.length) {
+            return this;
+        }
+
+        let handled = null;
+        this.written = new Promise((resolve, reject) => {
+            handled = (e) => ((e) ? reject(e) : resolve(this));
+        });
+        // failures are told by the stream, and by flush if awaited
+        this.written.catch(() => {});
+
+        if (false === this.backing.write(text, handled)) {
+            return new Promise((resolve, reject) => {
+                const drain = () => {
+                    cleanup();
+                    resolve(this);
+                };
+                const fail = (e) => {
+                    cleanup();
+                    reject(e || new Error('stream closed'));
+                };
+                const cleanup = () => {
+                    this.backing.removeListener('drain', drain);
+                    this.backing.removeListener('error', fail);
+                    this.backing.removeListener('close', fail);
+                };
+
+                this.backing.once('drain', drain);
+                this.backing.once('error', fail);
+                this.backing.once('close', fail);
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Wait until every line written has been handled by the stream.
+     *
+     * @returns a promise of this
+     * @throws the error of the stream, if it fails
+     */
+    async flush() {
+        // streams handle lines in order, so the last one is enough
+        await this.written;
+        return this;
+    }
+};
+
+/**
+ * Input reader backed by an iterable.
+ *
+ * Lines are taken one at a time from any iterable, async ones
+ * included, or from the iterator made by a generator function, which
+ * is called again on reset so that the program can be repeated.
+ * Strings are refused, as they would be read one character at a time.
+ */
+class IterableReader {
+    /**
+     * @param source an iterable or a generator function
+     * @throws a type error if the source is not iterable, or a string
+     */
+    constructor(source) {
+        if ('string' === typeof source || source instanceof String) {
+            throw new TypeError('not a valid iterable: strings are read by character, give an array of lines');
+        }
+
+        const iterable = source && ('function' === typeof source[Symbol.asyncIterator]
+            || 'function' === typeof source[Symbol.iterator]);
+        if ('function' !== typeof source && !iterable) {
+            throw new TypeError('not a valid iterable');
+        }
+
+        this.backing = source;
+        this.iterator = null;
+    }
+
+    /**
+     * Return the next value of the iterable.
+     *
+     * Iterables cannot be told to stop waiting, so the signal is not
+     * used here: when it is aborted the interpreter stops waiting on
+     * its own, and the value the iterable gives afterwards is lost.
+     *
+     * @param signal an abort signal, unused
+     * @returns a string, empty once the iterable is done
+     */
+    async read(signal) {
+        if (null === this.iterator) {
+            const source = ('function' === typeof this.backing) ? this.backing() : this.backing;
+            this.iterator = ('function' === typeof source[Symbol.asyncIterator])
+                ? source[Symbol.asyncIterator]()
+                : source[Symbol.iterator]();
+        }
+
+        const next = await this.iterator.next();
+        return (true === next.done || undefined === next.value || null === next.value) ? '' : `${next.value}`;
+    }
+
+    /**
+     * Reset the reader to read from the first value again.
+     *
+     * Iterables giving a new iterator each time, as arrays and
+     * generator functions do, start over; the others go on.
+     *
+     * @returns this
+     */
+    reset() {
+        this.iterator = null;
+        return this;
+    }
+};
+
+/**
+ * Input reader backed by a function.
+ *
+ * The function is called, with the abort signal if any, whenever a
+ * line is needed and gives the line or a promise of it.
+ */
+class CallbackReader {
+    /**
+     * @param callback the function giving lines
+     * @throws a type error if the callback is not a function
+     */
+    constructor(callback) {
+        if ('function' !== typeof callback) {
+            throw new TypeError('callback is not a function');
+        }
+
+        this.backing = callback;
+    }
+
+    /**
+     * Return the line given by the function.
+     *
+     * The function may stop waiting when the signal is aborted; if it
+     * does not, the interpreter stops waiting on its own.
+     *
+     * @param signal an abort signal, if any
+     * @returns a string, empty if the function gives nothing
+     */
+    async read(signal) {
+        const line = await this.backing(signal);
+        return (undefined === line || null === line) ? '' : `${line}`;
+    }
+
+    /**
+     * Reset the reader, which keeps no state.
+     *
+     * @returns this
+     */
+    reset() {
+        return this;
+    }
+};
+
+/**
+ * Output writer backed by a function.
+ *
+ * The function is called with every line; if it returns a promise,
+ * the interpreter waits for it before going on.
+ */
+class CallbackWriter {
+    /**
+     * @param callback the function taking lines
+     * @throws a type error if the callback is not a function
+     */
+    constructor(callback) {
+        if ('function' !== typeof callback) {
+            throw new TypeError('callback is not a function');
+        }
+
+        this.backing = callback;
+    }
+
+    /**
+     * Give a line to the function.
+     *
+     * @param line the line to write
+     * @returns this, or a promise of this if the function is async
+     */
+    write(line) {
+        const done = this.backing(line);
+        if (done && 'function' === typeof done.then) {
+            return Promise.resolve(done).then(() => (this));
+        }
+
+        return this;
+    }
+};
+
+/**
+ * Output writer backed by a generator function.
+ *
+ * The generator is started right away and receives every line as the
+ * value of its `yield`; async generators are waited for as async
+ * callbacks are. Closing the writer returns the generator, running
+ * its `finally` blocks.
+ */
+class GeneratorWriter {
+    /**
+     * @param generator the generator function taking lines
+     * @throws a type error if the generator is not a function
+     */
+    constructor(generator) {
+        if ('function' !== typeof generator) {
+            throw new TypeError('generator is not a function');
+        }
+
+        this.backing = generator();
+        if (!this.backing || 'function' !== typeof this.backing.next) {
+            throw new TypeError('generator does not give an iterator');
+        }
+
+        // run up to the first yield, waiting for a line: async
+        // generators failing meanwhile fail the first write or flush
+        const started = this.backing.next();
+        this.started = null;
+        if (started && 'function' === typeof started.then) {
+            this.started = Promise.resolve(started);
+            this.started.catch(() => {});
+        }
+    }
+
+    /**
+     * Give a line to the generator.
+     *
+     * @param line the line to write
+     * @returns this, or a promise of this if the generator is async
+     */
+    write(line) {
+        if (null !== this.started) {
+            const started = this.started;
+            this.started = null;
+            return started.then(() => (this.write(line)));
+        }
+
+        const done = this.backing.next(line);
+        if (done && 'function' === typeof done.then) {
+            return Promise.resolve(done).then(() => (this));
+        }
+
+        return this;
+    }
+
+    /**
+     * Wait for the generator to be started, if it is async.
+     *
+     * @returns a promise of this
+     * @throws the error of the generator if it failed starting
+     */
+    async flush() {
+        if (null !== this.started) {
+            const started = this.started;
+            this.started = null;
+            await started;
+        }
+
+        return this;
+    }
+
+    /**
+     * Return the generator, which takes no more lines.
+     *
+     * @returns a promise of this
+     */
+    async close() {
+        await this.backing.return();
+        return this;
+    }
+};
+
+/**
+ * Input reader asking for lines over a message port.
+ *
+ * Used by workers started with `AWA5.runInWorker`, the lines come
+ * from the reader of the main thread.
+ */
+class PortReader {
+    /**
+     * @param port the port to send requests to
+     */
+    constructor(port) {
+        this.port = port;
+
+        // resolution of the pending request, if any
+        this.pending = null;
+    }
+
+    /**
+     * Ask for a line and wait for it.
+     *
+     * @param signal an abort signal, ignored as workers are terminated
+     * @returns a promise of a string, can be empty
+     */
+    async read(signal) {
+        const line = new Promise((resolve) => {
+            this.pending = resolve;
+        });
+        this.port.postMessage({ type: 'read' });
+
+        return line;
+    }
+
+    /**
+     * Give the line that was asked for.
+     *
+     * @param line the line read
+     */
+    supply(line) {
+        if (null !== this.pending) {
+            this.pending(line);
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Reset the reader, which keeps no state.
+     *
+     * @returns this
+     */
+    reset() {
+        return this;
+    }
+};
+
+/**
+ * How many lines a worker can send before they are written.
+ */
+const PORT_BACKLOG = 16;
+
+/**
+ * Output writer sending lines over a message port.
+ *
+ * Used by workers started with `AWA5.runInWorker`, the lines go to
+ * the writer of the main thread, which tells when each one is
+ * written: once `PORT_BACKLOG` lines are waiting, the writer is full.
+ */
+class PortWriter {
+    /**
+     * @param port the port to send lines to
+     */
+    constructor(port) {
+        this.port = port;
+
+        // lines sent but not written yet
+        this.unwritten = 0;
+
+        // resolution of the promise of the writer being ready, if any
+        this.pending = null;
+    }
+
+    /**
+     * Send a line.
+     *
+     * @param line the line to send
+     * @returns this, or a promise of this once the main thread has
+     *   caught up if too many lines are waiting
+     */
+    write(line) {
+        this.port.postMessage({ type: 'write', line: line });
+        this.unwritten = this.unwritten + 1;
+        if (this.unwritten < PORT_BACKLOG) {
+            return this;
+        }
+
+        return new Promise((resolve) => {
+            this.pending = () => resolve(this);
+        });
+    }
+
+    /**
+     * Take note that the main thread wrote a line.
      */
-    size() {
-        return (1 === this.backing.length) ? 0 : this.backing.length;
+    written() {
+        this.unwritten = this.unwritten - 1;
+        if (null !== this.pending && this.unwritten < PORT_BACKLOG) {
+            this.pending();
+            this.pending = null;
+        }
     }
 };
 
 /**
- * Provide functions to handle opcode input and output.
+ * Make a value, and every value inside it, read-only.
+ *
+ * @param v the value to freeze
+ * @returns the same value
  */
-class InOut {
-    /**
-     * @param stdin an input reader
-     * @param stdout an output writer
-     */
-    constructor(stdin, stdout) {
-        this.stdin = stdin;
-        this.stdout = stdout;
-
-        this.ALPHABET = 'AWawJELYHOSIUMjelyhosiumPCNTpcntBDFGRbdfgr0123456789 .,!\'()~_/;\n';
+const freeze = function (v) {
+    if (null !== v && 'object' === typeof v) {
+        for (let k of Object.keys(v)) {
+            freeze(v[k]);
+        }
+        Object.freeze(v);
     }
 
-    /**
-     * Get the letter associated with the given value.
-     *
-     * The alphabet is limited per specifications of the language, so
-     * any values outside the specified range will generate an error.
-     *
-     * @param trace intepreter stack trace
-     * @param v the value to transform
-     * @returns the associated letter
-     * @throws a range error if the value is not in the alphabet
-     */
-    letter(trace, v) {
-        trace.push('InOut.letter');
-        let letter = v;
+    return v;
+};
 
-        if ('string' !== typeof v) {
-            if (v < 0 || v > this.ALPHABET.length) {
-                throw new RangeError(`index ${v} out of range`);
-            }
+/**
+ * Version of the snapshots written by `AWA5.snapshot`.
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Convert a bubble into plain values, keeping its exact shape.
+ *
+ * Unlike `toJSON`, single bubbles and double bubbles holding one
+ * value are told apart, so that `unpack` rebuilds the very same
+ * bubble: the bubble becomes the array of its values, bubbles nested
+ * inside become objects with a `bubble` property.
+ *
+ * @param bubble the bubble to convert
+ * @returns an array of plain values
+ */
+const pack = function (bubble) {
+    const plain = (v) => {
+        if (v instanceof Bubble) {
+            return { bubble: pack(v) };
+        }
 
-            letter = this.ALPHABET[v];
+        // big integers are not valid json
+        if ('bigint' === typeof v) {
+            return { bigint: `${v}` };
         }
 
-        trace.pop();
-        return letter;
+        // arithmetics can leave arrays inside single bubbles
+        return Array.isArray(v) ? v.map(plain) : v;
+    };
+
+    return bubble.backing.map(plain);
+};
+
+/**
+ * Rebuild a bubble converted by `pack`.
+ *
+ * @param values an array of plain values
+ * @returns a new bubble
+ * @throws a type error if the values are not valid
+ */
+const unpack = function (values) {
+    if (false === Array.isArray(values)) {
+        throw new TypeError('not a valid bubble');
     }
 
-    /**
-     * Write the contents of a bubble as a string.
-     *
-     * The string representation is obtained by transforming each
-     * number into the associated letter.
-     *
-     * @param trace interpreter stack trace
-     * @param bubble the bubble to write
-     * @returns null
-     */
-    write(trace, bubble) {
-        trace.push('InOut.write');
-        let out = '';
-        if (bubble.isDouble()) {
-            // write all values of double bubbles as single string
-            out = bubble.value().map((e) => (this.letter(trace, e))).join('');
-        } else {
-            out = this.letter(trace, bubble.value());
+    const revive = (v) => {
+        if (Array.isArray(v)) {
+            return v.map(revive);
         }
 
-        this.stdout.write(out);
+        if (null !== v && 'object' === typeof v && 'string' === typeof v.bigint) {
+            return BigInt(v.bigint);
+        }
 
-        trace.pop();
-        return null;
-    }
+        if (null !== v && 'object' === typeof v) {
+            return unpack(v.bubble);
+        }
 
-    /**
-     * Read a string provided by the user.
-     *
-     * While reading, numbers are converted to letters of the known
-     * alphabet; to read actual numbers use `readRaw`.
-     *
-     * If the reader gives an empty line, the string `'0'` is
-     * returned.
-     *
-     * @param trace interpreter stack trace
-     * @returns new bubble with the value
-     */
-    async read(trace) {
-        trace.push('InOut.read');
-        let line = await this.stdin.read();
-        if (!line || 0 === line.length) {
-            // if there are no lines provide a string nonetheless
-            line = ['0'];
-        } else {
-            // validate the given characters
-            const split = this.ALPHABET.split('');
-            const cache = [];
-	    const collected = [];
-            let invalid = false;
-
-            for (let i=0; i<line.length && false===invalid; ++i) {
-                // fast check when multiple occurrences
-                if (cache[line[i]]) {
-		    collected.push(line[i]);
-                    continue;
-                }
+        if ('number' !== typeof v && 'string' !== typeof v) {
+            throw new TypeError('not a valid bubble');
+        }
 
-                // warning: includes is somewhat slow
-                if (split.includes(line[i])) {
-                    cache[line[i]] = true;
-		    collected.push(line[i]);
-                    continue;
-                }
+        return v;
+    };
 
-                invalid = true;
-            }
+    return new Bubble(...values.map(revive));
+};
 
-            if (true === invalid) {
-                throw new RangeError(`'${line}' contains invalid characters`);
+/**
+ * Debugging session of a single program.
+ *
+ * The session drives the interpreter through its hook, suspending the
+ * program before an operation whenever it is asked to: one operation
+ * at a time, at breakpoints or on request.
+ *
+ * Every time the program stops, the session describes where it is,
+ * as explained in `inspect`.
+ *
+ * Sessions can also record what each operation did to the abyss, to
+ * go back to earlier steps: only a bounded number of steps is kept,
+ * the oldest ones are forgotten first.
+ */
+class DebugSession {
+    /**
+     * Options are an object with an optional `history`, the number of
+     * steps to record, 0 (no recording) by default.
+     *
+     * @param awa5 the interpreter providing options, reader and writer
+     * @param input the source of the program
+     * @param options the session options
+     * @throws a syntax error if the source is malformed
+     * @throws a range error if the history is not valid
+     */
+    constructor(awa5, input, options) {
+        let capacity = 0;
+        if (options && 'object' === typeof options && undefined !== options.history) {
+            capacity = options.history;
+            if ((false === Number.isInteger(capacity) && Infinity !== capacity) || capacity < 0) {
+                throw new RangeError('invalid value for history');
             }
-
-	    line = collected;
         }
 
-        trace.pop();
-        return new Bubble(...line);
+        this.trace = [];
+        this.stdin = awa5.intake;
+        this.stdout = awa5.output;
+        this.options = {
+            dialect: awa5.dialect,
+            limits: awa5.limits,
+            compare: awa5.compare,
+            numeric: awa5.numeric,
+            charset: awa5.charset,
+            hook: (context) => (this.hook(context)),
+        };
+
+        const tokens = parser(this.trace, input, this.options.dialect);
+        this.context = new Context(tokens, [], this.trace);
+        this.context.labels = labeler(this.trace, tokens, this.options.dialect);
+
+        // points where the program stops, by id
+        this.breakpoints = new Map();
+        this.breakpointId = 0;
+
+        // what to do at the next operation: 'pause', 'step' or 'continue'
+        this.mode = 'pause';
+        // whether the program is leaving its first operation
+        this.resuming = false;
+
+        // the interpreter, once started, and the function resuming it
+        this.running = null;
+        this.release = null;
+
+        // when the program last let other code run
+        this.yielded = Date.now();
+
+        // promises waiting for the next stop, and the last stop
+        this.waiting = [];
+        this.last = null;
+        this.finished = false;
+
+        // recorded steps, the latest last, and how many to keep
+        this.history = [];
+        this.capacity = capacity;
+        // how many operations to execute before stopping, if any
+        this.target = null;
     }
 
     /**
-     * Writes the contents of a bubble as a number or array.
+     * Execute the next operation, then stop.
      *
-     * The actual format of the output is left to Javascript's own
-     * built-in toString functions.
+     * @returns a promise of the next stop
+     */
+    step() {
+        this.target = null;
+        return this.resume('step');
+    }
+
+    /**
+     * Execute operations until a breakpoint, a pause or the end.
      *
-     * @param trace interpreter stack trace
-     * @param bubble the bubble to write
-     * @returns null
+     * @returns a promise of the next stop
      */
-    writeRaw(trace, bubble) {
-        trace.push('InOut.writeRaw');
-        let out = `${bubble.value()}`;
+    continue() {
+        this.target = null;
+        return this.resume('continue');
+    }
 
-        this.stdout.write(out);
+    /**
+     * Stop the program before its next operation.
+     *
+     * The stop is given to whoever is waiting on `step` or
+     * `continue`.
+     *
+     * @returns this
+     */
+    pause() {
+        if (false === this.finished) {
+            this.mode = 'pause';
+        }
 
-        trace.pop();
-        return null;
+        return this;
     }
 
     /**
-     * Read a number provided by the user.
+     * Stop the program when it reaches a given point.
      *
+     * The point is an object with one of these properties:
      *
-     * If the reader gives an empty line, the number `0` is returned.
+     * - `index`: the index of a token, as given by `AWA5.parse`;
+     * - `label`: the id of a label, stopping at the first operation
+     *   after it, where jumps land;
+     * - `opcode`: the name or the value of an opcode, stopping before
+     *   every operation of that kind.
      *
-     * @param trace interpreter stack trace
-     * @returns new bubble with the value
+     * @param point where to stop
+     * @returns an id to remove the breakpoint
+     * @throws a type error if the point is not valid
      */
-    async readRaw(trace) {
-        trace.push('InOut.read');
-        let line = await this.stdin.read();
-        if (!line || 0 === line.length) {
-            // if there are no lines provide a number nonetheless
-            line = 0;
-        } else {
-            const v = parseInt(line);
-            if (isNaN(v)) {
-                throw new TypeError(`'${line}' is not a number`);
+    addBreakpoint(point) {
+        let breakpoint = null;
+
+        if (point && 'number' === typeof point.index) {
+            breakpoint = { index: point.index };
+        } else if (point && 'number' === typeof point.label) {
+            breakpoint = { label: point.label };
+        } else if (point && 'number' === typeof point.opcode) {
+            breakpoint = { opcode: point.opcode };
+        } else if (point && 'string' === typeof point.opcode) {
+            const opcode = OPCODES.lookup(point.opcode);
+            if (undefined !== opcode) {
+                breakpoint = { opcode: opcode };
             }
-            line = v;
         }
 
-        trace.pop();
-        return new Bubble(line);
+        if (null === breakpoint) {
+            throw new TypeError('not a valid breakpoint');
+        }
+
+        this.breakpointId = this.breakpointId + 1;
+        this.breakpoints.set(this.breakpointId, breakpoint);
+        return this.breakpointId;
     }
-}
 
-/**
- * Provide functions to move bubbles around.
- */
-class Abysser {
     /**
-     * @param abyss the interpreter state stack
+     * Remove a breakpoint.
+     *
+     * @param id the id given by `addBreakpoint`
+     * @returns this
      */
-    constructor(abyss) {
-        this.abyss = abyss;
+    removeBreakpoint(id) {
+        this.breakpoints.delete(id);
+        return this;
     }
 
     /**
-     * Move a bubble down the stack according to input.
+     * Go back to the step before the last one executed.
      *
-     * @param trace interpreter stack trace
-     * @param input how many positions to move down
-     * @returns null
+     * Only the abyss, the cursor and the position of array readers go
+     * back: output already written stays written, and is written
+     * again when the program goes forward.
+     *
+     * @returns a promise of the stop, the current one if there are no
+     *   recorded steps
+     * @throws an error if the program is running
      */
-    submerge(trace, input) {
-        trace.push('Abysser.submerge');
-        const value = this.abyss.pop();
+    stepBack() {
+        this.stopped();
 
-        if (0 === input) {
-            this.abyss.unshift(value);
-        } else {
-            // warning: can be slow in some cases
-            this.abyss.splice(this.abyss.length - input, 0, value);
+        if (0 === this.history.length) {
+            return Promise.resolve(this.inspect());
         }
 
-        trace.pop();
-        return null;
+        this.undo();
+        return Promise.resolve(this.rewound());
     }
 
     /**
-     * Remove or split a bubble.
+     * Go back to the last time the program was about to execute the
+     * given token.
      *
-     * The split happens only if the bubble has more than one value.
+     * If the token was never executed in the recorded steps, the
+     * program goes back to the oldest recorded step.
      *
-     * @param trace interpreter stack trace
-     * @param input the bubble to pop
-     * @returns null or an array of bubbles to push into the abyss
+     * @param index the index of a token, as given by `AWA5.parse`
+     * @returns a promise of the stop
+     * @throws an error if the program is running
      */
-    pop(trace, input) {
-        trace.push('Abysser.pop');
-        if (false === input.isDouble()) {
-            return null;
-        }
+    runBackTo(index) {
+        this.stopped();
 
-        const bubbles = [];
-        for (let v of input.value()) {
-            bubbles.push(new Bubble(v));
+        if (0 === this.history.length) {
+            return Promise.resolve(this.inspect());
         }
 
-        trace.pop();
-        return bubbles;
+        do {
+            this.undo();
+        } while (index !== this.context.cursor && 0 !== this.history.length);
+
+        return Promise.resolve(this.rewound());
     }
 
     /**
-     * Clone the given bubble and push both into the abyss.
+     * Go to the step where the given number of operations were
+     * executed.
      *
-     * @param trace interpreter stack trace
-     * @param input the bubble to clone
-     * @returns array of bubbles to push into the abyss
+     * Steps before the current one must have been recorded, and are
+     * reached going back; later steps are reached executing the
+     * program, stopping on the way at breakpoints.
+     *
+     * @param executed the number of operations executed at the step
+     * @returns a promise of the stop
+     * @throws an error if the program is running
+     * @throws a range error if the step was not recorded
      */
-    duplicate(trace, input) {
-        trace.push('Abysser.duplicate');
-        const bubbles = [input, input.clone()];
+    goTo(executed) {
+        this.stopped();
 
-        trace.pop();
-        return bubbles;
+        if (executed >= this.context.executed) {
+            if (executed === this.context.executed) {
+                return Promise.resolve(this.inspect());
+            }
+
+            this.target = executed;
+            return this.resume('continue');
+        }
+
+        const oldest = (0 === this.history.length) ? this.context.executed : this.history[0].executed;
+        if (false === Number.isInteger(executed) || executed < oldest) {
+            throw new RangeError(`step ${executed} was not recorded`);
+        }
+
+        while (executed < this.context.executed) {
+            this.undo();
+        }
+
+        return Promise.resolve(this.rewound());
     }
 
     /**
-     * Create a single bubble from multiple ones.
+     * List the recorded steps, the oldest first.
      *
-     * @param trace interpreter stack trace
-     * @param input how many bubble to take from the abyss
-     * @returns the new bubble
+     * Each step tells the `cursor` and the `opcode` of the operation
+     * and how many operations were `executed` before it, as accepted
+     * by `goTo`.
+     *
+     * @returns an array of read-only objects
      */
-    surround(trace, input) {
-        trace.push('Abysser.surround');
-        const bubble = new Bubble();
-
-        for (let i=0; i<input; ++i) {
-            bubble.merge(this.abyss.pop());
-        }
-
-        trace.pop();
-        return bubble;
+    steps() {
+        return freeze(this.history.map((record) => ({
+            cursor: record.cursor,
+            opcode: OPCODES.name(OPCODES.get(this.trace, this.context.tokens[record.cursor].value)),
+            executed: record.executed,
+        })));
     }
 
     /**
-     * Create one bubble from the two topmost bubbles.
+     * Describe where the program is.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns the merged bubble
+     * The description is a read-only object with these properties:
+     *
+     * - `reason`: why the program stopped, one of `'start'`,
+     *   `'step'`, `'breakpoint'`, `'pause'`, `'back'`, `'end'` or
+     *   `'error'`;
+     * - `cursor`: the index of the next token to execute;
+     * - `opcode`: the name of the next opcode, null at the end;
+     * - `argument`: the argument of the next opcode, if any;
+     * - `line` and `column`: the position of the next opcode;
+     * - `executed`: how many operations were executed so far;
+     * - `labels`: the index of the token of each label, by id;
+     * - `abyss`: the values of the bubbles, the topmost last.
+     *
+     * At the end there is also the `value` returned by the program,
+     * while on errors there is the `error` that stopped it.
+     *
+     * @param reason why the program stopped, the last reason by default
+     * @returns the description
      */
-    merge(trace, b1, b2) {
-        trace.push('Abysser.merge');
-        const bubble = b1;
+    inspect(reason) {
+        const context = this.context;
+        const token = context.tokens[context.cursor];
+        const argument = context.tokens[context.cursor + 1];
+
+        let opcode = null;
+        let parameterized = false;
+        if (undefined !== token) {
+            const code = OPCODES.get(this.trace, token.value);
+            opcode = OPCODES.name(code);
+            parameterized = OPCODES.parameterized(this.trace, code, this.options.dialect);
+        }
 
-        if (false === b1.isDouble() && false === b2.isDouble()) {
-            // merge two single bubble into one double bubble
-            const v1 = b1.value();
-            const v2 = b2.value();
+        const labels = {};
+        context.labels.forEach((index, id) => {
+            labels[id] = index - 1;
+        });
 
-            bubble = new Bubble([v2, v1]);
-        } else {
-            bubble.merge(input[1]);
+        let why = reason;
+        if (undefined === why) {
+            why = (null === this.last) ? 'start' : this.last.reason;
         }
 
-        trace.pop();
-        return bubble;
+        return freeze({
+            reason: why,
+            cursor: context.cursor,
+            opcode: opcode,
+            argument: (true === parameterized && undefined !== argument) ? argument.value : null,
+            line: (undefined === token) ? null : token.line,
+            column: (undefined === token) ? null : token.column,
+            executed: context.executed,
+            labels: labels,
+            abyss: context.abyss.map((e) => (e.toJSON())),
+        });
     }
-}
 
-/**
- * Provide basic arithmetic functions on bubbles.
- */
-class Arith {
     /**
-     * Add two bubbles.
+     * Let the program run in the given mode.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns a new bubble with the result
+     * @param mode either 'step' or 'continue'
+     * @returns a promise of the next stop
      */
-    static add(trace, b1, b2) {
-        trace.push('Arith.add');
-        let result = null;
-
-        const b1double = b1.isDouble();
-        const b2double = b2.isDouble();
-        const b1v = b1.value();
-        const b2v = b2.value();
-
-        if (false === b1double && false === b2double) {
-            // two single bubbles
-            result = new Bubble(b1v + b2v);
-        } else if (true === b1double && false === b2double) {
-            // first bubble is double
-            result = new Bubble(b1v.map((e) => (e + b2v)));
-        } else if (false === b1double && true === b2double) {
-            // second bubble is double
-            result = new Bubble(b2v.map((e) => (e + b1v)));
-        } else if (true === b1double && true === b2double) {
-            // all bubbles are double
-            const values = [];
-            const len = Math.min(b1.size(), b2.size());
-            for (let i=0; i<len; ++i) {
-                values.push(b1v[i] + b2v[i]);
-            }
-            result = new Bubble(...values);
+    resume(mode) {
+        if (true === this.finished) {
+            return Promise.resolve(this.last);
         }
 
-        trace.pop();
-        return result;
+        const stop = new Promise((resolve) => {
+            this.waiting.push(resolve);
+        });
+
+        this.mode = mode;
+
+        if (null === this.running) {
+            // the program starts stopped at its first operation
+            this.resuming = true;
+            this.running = interpreter(this.trace, this.context, this.stdin, this.stdout, this.options)
+                .then((value) => {
+                    this.stdin.reset(); // allow repeating the program as-is
+                    this.finish({ ...this.inspect('end'), value: freeze(value) });
+                })
+                .catch((error) => {
+                    this.finish({ ...this.inspect('error'), error: error });
+                });
+        } else if (null !== this.release) {
+            const release = this.release;
+            this.release = null;
+            release();
+        }
+
+        return stop;
     }
 
     /**
-     * Subtract two bubbles.
+     * Decide whether to stop before the next operation.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns a new bubble with the result
+     * This is the hook given to the interpreter, which waits only when
+     * given a promise: most operations go on right away.
+     *
+     * @param context the state of the program
+     * @returns a promise resolved when the program can go on, or null
+     *   if it goes on at once
      */
-    static sub(trace, b1, b2) {
-        trace.push('Arith.sub');
-        let result = null;
-
-        const b1double = b1.isDouble();
-        const b2double = b2.isDouble();
-        const b1v = b1.value();
-        const b2v = b2.value();
-
-        if (false === b1double && false === b2double) {
-            // two single bubbles
-            result = new Bubble(b1v - b2v);
-        } else if (true === b1double && false === b2double) {
-            // first bubble is double
-            result = new Bubble(b1v.map((e) => (e - b2v)));
-        } else if (false === b1double && true === b2double) {
-            // second bubble is double
-            result = new Bubble(b2v.map((e) => (e - b1v)));
-        } else if (true === b1double && true === b2double) {
-            // all bubbles are double
-            const values = [];
-            const len = Math.min(b1.size(), b2.size());
-            for (let i=0; i<len; ++i) {
-                values.push(b1v[i] - b2v[i]);
+    hook(context) {
+        let reason = null;
+
+        if ('pause' === this.mode) {
+            reason = 'pause';
+        } else if (true === this.resuming) {
+            // the first operation is where the program starts stopped at
+            reason = null;
+        } else if ('step' === this.mode) {
+            reason = 'step';
+        } else if (context.executed === this.target) {
+            reason = 'step';
+        } else if (true === this.hits(context)) {
+            reason = 'breakpoint';
+        }
+
+        this.resuming = false;
+        if (null === reason) {
+            // let timers and events in every now and then, or there
+            // would be no chance to pause a program stuck in a loop
+            if (Date.now() - this.yielded > 10) {
+                return this.suspend(context, null);
             }
-            result = new Bubble(...values);
+            this.record(context);
+            return null;
         }
 
-        trace.pop();
-        return result;
+        return this.suspend(context, reason);
     }
 
     /**
-     * Multiply two bubbles.
+     * Suspend the program before its next operation.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns a new bubble with the result
+     * Without a reason the program only lets other code run, then
+     * goes on; otherwise it stops until it is resumed.
+     *
+     * @param context the state of the program
+     * @param reason why the program stops, as in `inspect`, or null
+     * @returns a promise resolved when the program can go on
      */
-    static mul(trace, b1, b2) {
-        trace.push('Arith.mul');
-        let result = null;
-
-        const b1double = b1.isDouble();
-        const b2double = b2.isDouble();
-        const b1v = b1.value();
-        const b2v = b2.value();
-
-        if (false === b1double && false === b2double) {
-            // two single bubbles
-            result = new Bubble(b1v * b2v);
-        } else if (true === b1double && false === b2double) {
-            // first bubble is double
-            result = new Bubble(b1v.map((e) => (e * b2v)));
-        } else if (false === b1double && true === b2double) {
-            // second bubble is double
-            result = new Bubble(b2v.map((e) => (e * b1v)));
-        } else if (true === b1double && true === b2double) {
-            // all bubbles are double
-            const values = [];
-            const len = Math.min(b1.size(), b2.size());
-            for (let i=0; i<len; ++i) {
-                values.push(b1v[i] * b2v[i]);
-            }
-            result = new Bubble(...values);
+    async suspend(context, reason) {
+        if (null === reason) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            this.yielded = Date.now();
+            this.record(context);
+            return;
         }
 
-        trace.pop();
-        return result;
+        this.mode = 'pause';
+        this.target = null;
+        const gate = new Promise((resolve) => {
+            this.release = resolve;
+        });
+
+        this.settle(this.inspect(reason));
+        await gate;
+
+        // the program may have gone back while stopped
+        this.record(context);
     }
 
     /**
-     * Divide two bubbles and keep the remainder.
+     * Record what the next operation is about to change.
      *
-     * The result will be a double bubble that can contain other
-     * double bubbles.
+     * Only the bubbles the operation can touch are recorded, along
+     * with the position of the program.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns a new bubble with the result
+     * @param context the state of the program
+     * @returns null
      */
-    static div(trace, b1, b2) {
-        trace.push('Arith.div');
-        let result = null;
-
-        const b1double = b1.isDouble();
-        const b2double = b2.isDouble();
-        const b1v = b1.value();
-        const b2v = b2.value();
-
-        if (false === b1double && false === b2double) {
-            // two single bubbles
-            result = new Bubble(...Arith.bubblediv(bv1, bv2));
-        } else if (true === b1double && false === b2double) {
-            // first bubble is double
-            result = new Bubble(b1v.map((e) => (new Bubble(...Arith.bubblediv(e, b2v)))));
-        } else if (false === b1double && true === b2double) {
-            // second bubble is double
-            result = new Bubble(b2v.map((e) => (new Bubble(...Arith.bubblediv(e, b1v)))));
-        } else if (true === b1double && true === b2double) {
-            // all bubbles are double
-            const values = [];
-            const len = Math.min(b1.size(), b2.size());
-            for (let i=0; i<len; ++i) {
-                values.push(new Bubble(...Arith.bubblediv(b1v[i], b2v[i])));
-            }
-            result = new Bubble(...values);
+    record(context) {
+        if (0 === this.capacity || context.cursor >= context.tokens.length) {
+            return null;
         }
 
-        trace.pop();
-        return result;
+        const abyss = context.abyss;
+        const code = OPCODES.get(this.trace, context.tokens[context.cursor].value);
+        const argument = OPCODES.parameterized(this.trace, code, this.options.dialect) ? context.tokens[context.cursor + 1] : undefined;
+        const at = Math.max(0, abyss.length - footprint(this.trace, code, argument, abyss.length));
+
+        this.history.push({
+            cursor: context.cursor,
+            executed: context.executed,
+            at: at,
+            // warning: bubbles can be changed in place, keep a copy
+            removed: abyss.slice(at).map(pack),
+            line: (this.stdin instanceof ArrayReader) ? this.stdin.line : null,
+        });
+
+        if (this.history.length > this.capacity) {
+            this.history.shift();
+        }
+
+        return null;
     }
 
     /**
-     * Calculate the division and the remainder of two bubbles.
+     * Undo the last recorded step.
      *
-     * @param trace interpreter stack trace
-     * @param v1 the first value
-     * @param v2 the second value
-     * @return array with remainder and division, in this order
+     * @returns null
      */
-    static bubblediv(trace, v1, v2) {
-        trace.push('Arith.bubblediv');
-        let division = v1 / v2;
-        division = (division < 0) ? Math.ceil(division) : Math.floor(division);
+    undo() {
+        const context = this.context;
+        const record = this.history.pop();
+
+        if (true === this.finished) {
+            // the program must be started again from here
+            this.finished = false;
+            this.running = null;
+        }
 
-        let remainder = v1 % v2;
+        const abyss = context.abyss;
+        abyss.splice(record.at, abyss.length - record.at, ...record.removed.map(unpack));
+        context.cursor = record.cursor;
+        context.executed = record.executed;
+        if (null !== record.line) {
+            this.stdin.line = record.line;
+        }
 
-        trace.pop();
-        return [remainder, division];
+        return null;
     }
-}
 
-/**
- * Provide function to compare two bubbles.
- */
-class Comparator {
     /**
-     * Test for bubble equality.
+     * Describe the program after going back.
      *
-     * Double bubbles are compared in every contained value.
-     *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns false if the bubbles are different
+     * @returns the description
      */
-    static equal(trace, b1, b2) {
-        trace.push('Comparator.equal');
-        let result = false;
-
-        const b1double = b1.isDouble();
-        const b2double = b2.isDouble();
-        const b1v = b1.value();
-        const b2v = b2.value();
-
-        if ((true === b1double && false === b2double)
-            || (false === b1double && true === b2double)) {
-            // single and double bubbles are always different
-            result = false;
-        } else if (true === b1double && true === b2double) {
-            // double bubbles are compared in every value
-            if (b1.size() !== b2.size()) {
-                // different sizes make bubbles different
-                result = false;
-            } else {
-                result = true;
-
-                const bsize = b1.size();
-                for (let i=0; i<bsize && true===result; ++i) {
-                    if (b1v[i] === b2v[i]) {
-                        continue;
-                    }
+    rewound() {
+        this.last = this.inspect('back');
+        return this.last;
+    }
 
-                    result = false;
-                }
-            }
-        } else {
-            result = (b1v === b2v);
+    /**
+     * Ensure the program is not running.
+     *
+     * @returns null
+     * @throws an error if the program is running
+     */
+    stopped() {
+        if (null !== this.running && null === this.release && false === this.finished) {
+            throw new Error('the program must be stopped first');
         }
 
-        trace.pop();
-        return result;
+        return null;
     }
 
     /**
-     * Test whether the first bubble is smaller than the second.
+     * Tell whether the next operation has a breakpoint.
      *
-     * This test applies only to single bubbles.
-     *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns false if the bubble is greater
+     * @param context the state of the program
+     * @returns false if no breakpoint matches
      */
-    static less(trace, b1, b2) {
-        trace.push('Comparator.less');
-        let result = false;
+    hits(context) {
+        const code = OPCODES.get(this.trace, context.tokens[context.cursor].value);
+
+        for (let breakpoint of this.breakpoints.values()) {
+            if (context.cursor === breakpoint.index || code === breakpoint.opcode) {
+                return true;
+            }
 
-        // only single bubbles can be sorted in a less-than order
-        // vectors (double bubbles) have many edge cases in their
-        // sorting and it's not worth it without a generic comparator
-        // function
-        if (false === b1.isDouble() && false === b2.isDouble()) {
-            result = (b1.value() < b2.value());
+            if (undefined !== breakpoint.label && context.labels[breakpoint.label] + 1 === context.cursor) {
+                return true;
+            }
         }
 
-        trace.pop();
-        return result;
+        return false;
     }
 
     /**
-     * Test whether the first bubble is greater than the second.
-     *
-     * This test applies only to single bubbles.
+     * Give a stop to everyone waiting for it.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the first bubble
-     * @param b2 the second bubble
-     * @returns false if the bubble is smaller
+     * @param stop the description of the stop
+     * @returns null
      */
-    static greater(trace, b1, b2) {
-        trace.push('Comparator.greater');
-        let result = false;
+    settle(stop) {
+        this.last = stop;
 
-        // only single bubbles can be sorted in a greater-than order
-        // vectors (double bubbles) have many edge cases in their
-        // sorting and it's not worth it without a generic comparator
-        // function
-        if (false === b1.isDouble() && false === b2.isDouble()) {
-            result = (b1.value() < b2.value());
+        const waiting = this.waiting;
+        this.waiting = [];
+        for (let resolve of waiting) {
+            resolve(stop);
         }
 
-        trace.pop();
-        return result;
+        return null;
     }
 
     /**
-     * Test whether a bubble is exactly the value 0.
-     *
-     * A double bubble with only zero values does not pass this test;
-     * it has to be a single bubble.
+     * Give the last stop, after the program is over.
      *
-     * @param trace interpreter stack trace
-     * @param b1 the bubble to test
-     * @returns false if the bubble is not the value 0.
+     * @param stop the description of the stop
+     * @returns null
      */
-    static zero(trace, b1) {
-        trace.push('Comparator.zero');
-        let result = false;
-
-        // only single bubbles can be compared with the single value 0
-        if (false === b1.isDouble()) {
-            result = (0 === b1.value());
-        }
+    finish(stop) {
+        this.finished = true;
+        return this.settle(freeze(stop));
+    }
+};
 
-        trace.pop();
-        return result;
+/**
+ * Outcome of a program run.
+ */
+class RunResult {
+    /**
+     * @param status either `'ok'` or `'error'`
+     * @param value the value returned by the program, null on errors
+     * @param operationsExecuted how many operations were executed
+     * @param finalAbyss the values of the bubbles left, the topmost last
+     * @param error the error that stopped the program, if any
+     */
+    constructor(status, value, operationsExecuted, finalAbyss, error) {
+        this.status = status;
+        this.value = value;
+        this.operationsExecuted = operationsExecuted;
+        this.finalAbyss = finalAbyss;
+        this.error = error;
     }
 };
 
 /**
- * Iterate over a sequence of tokens and perform associated actions.
+ * Turn an error into plain values, fit for a message.
  *
- * This interpreter has a fixed limit of 10000 (ten thousand)
- * operations; when exceeded the interpreter will terminate with an
- * error.
+ * Messages keep only the name and the message of errors, so the
+ * properties of the errors of the interpreter are copied along.
  *
- * @param trace the interpreter stack trace
- * @param abyss the interpreter state stack
- * @param tokens the sequence of tokens
- * @param stdin an input reader
- * @param stdout an output writer
- * @returns the value of the topmost bubble, 0 by default
+ * @param e the error
+ * @returns an object with the values of the error
  */
-const interpreter = async function (trace, abyss, tokens, stdin, stdout) {
-    trace.push('interpreter');
+const flatten = function (e) {
+    const values = { name: e.name, message: e.message, stack: e.stack };
+    for (let key of ['cursor', 'opcode', 'limit', 'line', 'column']) {
+        if (undefined !== e[key]) {
+            values[key] = e[key];
+        }
+    }
 
-    // limit the number of executed operations to avoid infinite loops
-    const oplimit = 10000;
-    let executed = 0;
+    return values;
+};
 
-    // register jump labels
-    // warning: slow because it traverses all tokens before execution
-    const labels = [];
-    for (let i=0; i<tokens.length; ++i) {
-        if (OPCODES.get(trace, tokens[i]) === OPCODES.LBL) {
-            if (undefined === tokens[i + 1]) {
-                throw new OpcodeError(tokens[i], 'not enough arguments');
-            }
-            labels[tokens[i + 1]] = i + 1;
-        }
+/**
+ * Rebuild an error turned into plain values by `flatten`.
+ *
+ * @param values the values of the error
+ * @returns an error of the same type, when known
+ */
+const revive = function (values) {
+    const types = { OpcodeError, LimitError, AbortError, SyntaxError, TypeError, RangeError };
+    const type = types[values.name] || Error;
 
-        if (OPCODES.parameterized(trace, tokens[i])) {
-            i = i + 1;
-        }
-    }
+    return Object.assign(Object.create(type.prototype), values);
+};
 
-    // handle in/out
-    const inout = new InOut(stdin, stdout);
+/**
+ * Get the dialect requested by the given options.
+ *
+ * @param options object with an optional `dialect` property
+ * @returns a known dialect, `'awa5js'` by default
+ * @throws a range error if the dialect is not known
+ */
+const dialectOf = function (options) {
+    if (!options || 'object' !== typeof options || undefined === options.dialect) {
+        return DIALECTS.AWA5JS;
+    }
 
-    // handle bubble juggling
-    const abysser = new Abysser(abyss);
+    if (false === Object.values(DIALECTS).includes(options.dialect)) {
+        throw new RangeError(`unknown dialect '${options.dialect}'`);
+    }
 
-    // execute the tokens
-    let cursor = 0;
-    let result = null;
-    while (cursor < tokens.length) {
-        const code = OPCODES.get(trace, tokens[cursor]);
-        trace.push(OPCODES.name(code));
+    return options.dialect;
+};
 
-        switch (code) {
-        case OPCODES.NOP:
-            // nop = no operations...
-            break;
-        case OPCODES.PRN:
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = inout.write(trace, abyss.pop());
-            break;
-        case OPCODES.PR1:
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = inout.writeRaw(trace, abyss.pop());
-            break;
-        case OPCODES.RED:
-            result = await inout.read(trace);
-            break;
-        case OPCODES.R3D:
-            result = await inout.readRaw(trace);
-            break;
-        case OPCODES.BLO:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            result = new Bubble(tokens[cursor + 1]);
-            cursor = cursor + 1;
-            break;
-        case OPCODES.SBM:
-            if (undefined  === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            result = abysser.submerge(trace, tokens[cursor + 1]);
-            cursor = cursor + 1;
-            break;
-        case OPCODES.POP:
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = abysser.pop(trace, abyss.pop());
-            break;
-        case OPCODES.DPL:
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = abysser.duplicate(trace, abyss.pop());
-            break;
-        case OPCODES.SRN:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (tokens[cursor + 1] > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = abysser.surround(trace, tokens[cursor + 1]);
-            cursor = cursor + 1;
-            break;
-        case OPCODES.MRG:
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = abysser.merge(trace, abyss.pop(), abyss.pop());
-            break;
-        case OPCODES.DD4:
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = Arith.add(trace, abyss.pop(), abyss.pop());
-            break;
-        case OPCODES.SUB:
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = Arith.sub(trace, abyss.pop(), abyss.pop());
-            break;
-        case OPCODES.MUL:
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = Arith.mul(trace, abyss.pop(), abyss.pop());
-            break;
-        case OPCODES.DIV:
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = Arith.div(trace, abyss.pop(), abyss.pop());
-            break;
-        case OPCODES.CNT:
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            result = new Bubble(abyss[abyss.length - 1].size());
-            break;
-        case OPCODES.LBL:
-            // labels are already handled here; simply jump the argument
-            cursor = cursor + 1;
-            break;
-        case OPCODES.JMP:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (undefined === labels[tokens[cursor + 1]]) {
-                // unregistered labels are ignored instead of singaling an error
-                cursor = cursor + 1;
-            } else {
-                cursor = labels[tokens[cursor + 1]];
-            }
-            break;
-        case OPCODES.EQL:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            if (true === Comparator.equal(trace, abyss[abyss.length - 1], abyss[abyss.length - 2])
-                && undefined !== labels[tokens[cursor + 1]]) {
-                cursor = labels[tokens[cursor + 1]];
-            } else {
-                cursor = cursor + 1;
-            }
-            break;
-        case OPCODES.LSS:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            if (true === Comparator.less(trace, abyss[abyss.length - 1], abyss[abyss.length - 2])
-                && undefined !== labels[tokens[cursor + 1]]) {
-                cursor = labels[tokens[cursor + 1]];
-            } else {
-                cursor = cursor + 1;
-            }
-            break;
-        case OPCODES.GR8:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (2 > abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            if (true === Comparator.greater(trace, abyss[abyss.length - 1], abyss[abyss.length - 2])
-                && undefined !== labels[tokens[cursor + 1]]) {
-                cursor = labels[tokens[cursor + 1]];
-            } else {
-                cursor = cursor + 1;
-            }
-            break;
-        case OPCODES.EQZ:
-            if (undefined === tokens[cursor + 1]) {
-                throw new OpcodeError(tokens[cursor], 'not enough arguments');
-            }
-            if (0 === abyss.length) {
-                throw new OpcodeError(tokens[cursor], 'not enough bubbles');
-            }
-            if (true === Comparator.zero(trace, abyss[abyss.length - 1])
-                && undefined !== labels[tokens[cursor + 1]]) {
-                cursor = labels[tokens[cursor + 1]];
-            } else {
-                cursor = cursor + 1;
-            }
-            break;
-        case OPCODES.TRM:
-            // pushing the cursor out of the tokens size terminates the program
-            cursor = tokens.length;
-            break;
-        default:
-            throw new OpcodeError(tokens[cursor], 'invalid opcode');
+/**
+ * Get the limits requested by the given options.
+ *
+ * Limits not given in the options keep their default value; `false`
+ * as the whole `limits` option, or as a single limit, turns them off.
+ *
+ * @param options object with an optional `limits` property
+ * @returns an object with every limit, as in `LIMITS`
+ * @throws a range error if a limit is not known or not valid
+ */
+const limitsOf = function (options) {
+    const limits = { ...LIMITS };
+
+    if (!options || 'object' !== typeof options || undefined === options.limits) {
+        return limits;
+    }
+
+    if (false === options.limits) {
+        for (let name in limits) {
+            limits[name] = Infinity;
         }
+        return limits;
+    }
 
-        trace.pop();
+    for (let name in options.limits) {
+        if (false === name in LIMITS) {
+            throw new RangeError(`unknown limit '${name}'`);
+        }
 
-        // push result into the abyss, if any
-        if (null !== result) {
-            try {
-                abyss.push(...result);
-            } catch {
-                abyss.push(result);
-            }
+        const value = options.limits[name];
+        if (false === value) {
+            limits[name] = Infinity;
+            continue;
         }
 
-        result = null;
-        cursor = cursor + 1;
+        if ('number' !== typeof value || isNaN(value) || value < 0) {
+            throw new RangeError(`invalid value for limit '${name}'`);
+        }
+
+        limits[name] = value;
+    }
+
+    return limits;
+};
+
+/**
+ * Get the ordering of bubbles requested by the given options.
+ *
+ * @param options object with an optional `compare` property
+ * @returns a function, or null for the default ordering
+ * @throws a type error if the ordering is not a function
+ */
+const compareOf = function (options) {
+    if (!options || 'object' !== typeof options || undefined === options.compare) {
+        return null;
+    }
+
+    if ('function' !== typeof options.compare) {
+        throw new TypeError('compare is not a function');
+    }
+
+    return options.compare;
+};
+
+/**
+ * Get the numeric mode requested by the given options.
+ *
+ * @param options object with an optional `numeric` property
+ * @returns the name of a mode of `NUMERICS`, `'number'` by default
+ * @throws a range error if the mode is not known
+ */
+const numericOf = function (options) {
+    if (!options || 'object' !== typeof options || undefined === options.numeric) {
+        return 'number';
+    }
+
+    if (false === Object.hasOwn(NUMERICS, options.numeric)) {
+        throw new RangeError(`unknown numeric mode '${options.numeric}'`);
+    }
+
+    return options.numeric;
+};
+
+/**
+ * Make sure an object can be used as an input reader.
+ *
+ * Readers have an async `read` method, taking an optional abort
+ * signal and giving the next line, and a `reset` method, called when
+ * a program ends so it can be run again.
+ *
+ * @param reader the object to check
+ * @returns the same reader
+ * @throws a type error telling the first method missing
+ */
+const readerOf = function (reader) {
+    if (!reader || 'object' !== typeof reader) {
+        throw new TypeError('not a valid reader: not an object');
+    }
 
-        // stop interpreter on too many ops
-        executed = executed + 1;
-        if (executed >= oplimit) {
-            throw new LimitError('too many operations');
+    for (let method of ['read', 'reset']) {
+        if ('function' !== typeof reader[method]) {
+            throw new TypeError(`not a valid reader: missing method ${method}()`);
         }
     }
 
-    // use last value in the abyss as return value, if it exists
-    const retval = (abyss.length > 0) ? abyss.pop().value() : 0;
-    // reset the abyss so the interpreter can run other programs
-    abyss.splice(0, abyss.length);
+    return reader;
+};
 
-    trace.pop();
-    return retval;
+/**
+ * Make sure an object can be used as an output writer.
+ *
+ * Writers have a `write` method taking a line, which may return a
+ * promise to make the interpreter wait, and optionally a `flush`
+ * method, awaited when a program ends, and a `close` method, awaited
+ * by `close`.
+ *
+ * @param writer the object to check
+ * @returns the same writer
+ * @throws a type error telling the first method missing or invalid
+ */
+const writerOf = function (writer) {
+    if (!writer || 'object' !== typeof writer) {
+        throw new TypeError('not a valid writer: not an object');
+    }
+
+    if ('function' !== typeof writer.write) {
+        throw new TypeError('not a valid writer: missing method write()');
+    }
+    for (let method of ['flush', 'close']) {
+        if (undefined !== writer[method] && 'function' !== typeof writer[method]) {
+            throw new TypeError(`not a valid writer: ${method} is not a function`);
+        }
+    }
+
+    return writer;
 };
 
 /**
- * Input reader backed by an array.
+ * Let a writer deliver the lines it holds, if it is able to.
+ *
+ * @param writer the output writer
+ * @returns a promise resolved once the writer is flushed
  */
-class ArrayReader {
-    /**
-     * @param backing the array to read from
-     */
-    constructor(backing) {
-        this.backing = [...backing];
-        this.line = -1;
+const flush = async function (writer) {
+    if ('function' === typeof writer.flush) {
+        await writer.flush();
     }
+};
 
-    /**
-     * Return a string from the backing array.
-     *
-     * @returns a string, can be empty
-     */
-    async read() {
-        this.line = this.line + 1;
-        return (undefined === this.backing[this.line]) ? '' : this.backing[this.line];
+/**
+ * Tell a writer able to show errors why a program failed.
+ *
+ * Writers with an `error` method, as DOM writers, are given the
+ * message of the error, to show apart from the output of the program;
+ * other writers are left alone.
+ *
+ * @param writer the output writer
+ * @param error the error stopping the program
+ * @returns a promise resolved once the writer has the message
+ */
+const report = async function (writer, error) {
+    if ('function' === typeof writer.error) {
+        await writer.error(error.message);
     }
+};
 
-    /**
-     * Reset the reader to read from the first line again.
-     *
-     * @returns this
-     */
-    reset() {
-        this.line = -1;
-        return this;
+/**
+ * Tell whether the options of an event listener ask for the capture
+ * phase, as `EventTarget` does.
+ *
+ * @param options a boolean or an object with a `capture` property
+ * @returns true if capturing
+ */
+const captureOf = function (options) {
+    if ('boolean' === typeof options) {
+        return options;
     }
+
+    return Boolean(options && 'object' === typeof options && options.capture);
 };
 
 /**
- * Input reader able to wait from users.
+ * Get the character set requested by the given options.
  *
- * This reader takes its lines from a DOM node, which can be an actual
- * user interface where users can write in freely.
+ * The set is either the name of one of `CHARSETS`, a table of
+ * characters as accepted by `Charset`, or a charset itself.
  *
- * To ensure users are actually able to type in something, this
- * function will suspend the interpreter until a second DOM node is
- * activated with a `click` event.
+ * @param options object with an optional `charset` property
+ * @returns a charset, AwaSCII by default
+ * @throws a range error if the set is not known
+ * @throws a type error if the table is not valid
+ */
+const charsetOf = function (options) {
+    if (!options || 'object' !== typeof options || undefined === options.charset) {
+        return AWASCII;
+    }
+
+    const charset = options.charset;
+    if (charset instanceof Charset) {
+        return charset;
+    }
+    if (Array.isArray(charset)) {
+        return new Charset(charset);
+    }
+    if ('awascii' === charset) {
+        return AWASCII;
+    }
+    if (false === Object.hasOwn(CHARSETS, charset)) {
+        throw new RangeError(`unknown charset '${charset}'`);
+    }
+
+    return new Charset(CHARSETS[charset]);
+};
+
+/**
+ * Default milliseconds given to programs run by `AWA5.runInWorker`.
+ */
+const WORKER_TIMEOUT = 10000;
+
+/**
+ * Start a worker serving programs with `AWA5.serve`.
  *
- * The DOM node must support the `value` property, effectively
- * limiting it only to `<input>` and `<textarea>` elements.
+ * Browsers get a module worker, Node a worker thread: either way the
+ * worker loads this module from the given URL, and both are wrapped
+ * in the same interface.
+ *
+ * @param url the URL of this module
+ * @param receive function called with every message of the worker
+ * @param fail function called with the error when the worker fails
+ * @returns a promise of an object able to `send` messages to the
+ *   worker and to `terminate` it
  */
-class DOMReader {
-    /**
-     * @param node the node to read from
-     * @param actor the node restarting the interpreter
-     */
-    constructor(node, actor) {
-        this.backing = node;
-        this.button = actor;
+const spawn = async function (url, receive, fail) {
+    if ('undefined' !== typeof Worker) {
+        const code = `import AWA5 from ${JSON.stringify(url)};\nAWA5.serve(self);\n`;
+        const script = URL.createObjectURL(new Blob([code], { type: 'text/javascript' }));
+        const worker = new Worker(script, { type: 'module' });
+        worker.addEventListener('message', (e) => receive(e.data));
+        worker.addEventListener('error', (e) => fail(e.error || new Error(e.message)));
+
+        return {
+            send: (message) => worker.postMessage(message),
+            terminate: () => {
+                worker.terminate();
+                URL.revokeObjectURL(script);
+            },
+        };
     }
 
+    const threads = await import('node:worker_threads');
+    const code = [
+        "const { parentPort, workerData } = require('node:worker_threads');",
+        'import(workerData).then((m) => m.default.serve(parentPort));',
+    ].join('\n');
+    const worker = new threads.Worker(code, { eval: true, workerData: url });
+    worker.on('message', receive);
+    worker.on('error', fail);
+
+    // stopping is a failure only when not asked for
+    let terminated = false;
+    worker.on('exit', () => {
+        if (false === terminated) {
+            fail(new Error('the worker stopped'));
+        }
+    });
+
+    return {
+        send: (message) => worker.postMessage(message),
+        terminate: () => {
+            terminated = true;
+            worker.terminate();
+        },
+    };
+};
+
+/**
+ * Implentation of an interpreter for the AWA5.0 language.
+ *
+ * The interpreter is also an event target: each run sends
+ * `awa5:start`, then `awa5:step` before and after every operation, and
+ * finally either `awa5:end` or `awa5:error`.
+ */
+export default class AWA5 extends EventTarget {
     /**
-     * Return a string from the backing DOM node.
-     *
-     * Before reading begins, this method will generate an event
-     * called `awa5:prompt`; after the value has been received, it
-     * will generated an event called `awa5:processing`.
+     * Options are an object with the following properties, all of
+     * them optional:
      *
-     * These events can be used to manipulate a user interface or
-     * similar actions.
+     * - `dialect`: either `'awa5js'`, the default, or `'original'` to
+     *   follow the original specifications;
+     * - `limits`: an object with the limits of each execution, as in
+     *   `LIMITS`, or `false` to turn all of them off;
+     * - `onStep`: a function called before and after every operation
+     *   with the same details of the `awa5:step` event;
+     * - `compare`: a function sorting bubbles for `LSS` and `GR8`, as
+     *   described by `Comparator.order`;
+     * - `numeric`: the kind of numbers held by bubbles, either
+     *   `'number'`, the default, `'bigint'`, `'int32'` or `'int8'`, as
+     *   described by `NUMERICS`;
+     * - `charset`: the characters printed by `PRN` and read by `RED`,
+     *   either `'awascii'`, the default, `'extended'`, an array of
+     *   characters or a charset made by `AWA5.charset`.
      *
-     * @returns a string, can be empty
+     * @param options the interpreter options
+     * @throws a range error if an option is not valid
+     * @throws a type error if `onStep` or `compare` is not a function,
+     *   or if the character set is not valid
      */
-    async read() {
-        let listener = null;
-        let promise = new Promise((resolve, reject) => {
-            listener = (e) => { resolve(this.backing.value); };
+    constructor(options) {
+        super();
 
-            this.button.addEventListener('click', listener);
-        });
+        // language spoken by the interpreter
+        this.dialect = dialectOf(options);
 
-        const prompt = new CustomEvent('awa5:prompt', {
-            bubbles: true,
-            detail: {
-                node: this.backing,
-                actor: this.button,
+        // limits of each execution
+        this.limits = limitsOf(options);
+
+        // input by line
+        this.intake = new ArrayReader([]);
+
+        // output by line
+        this.output = new ArrayWriter([]);
+
+        // observers of every operation
+        this.onStep = null;
+        if (options && 'object' === typeof options && undefined !== options.onStep) {
+            if ('function' !== typeof options.onStep) {
+                throw new TypeError('onStep is not a function');
             }
-        });
-        this.backing.dispatchEvent(prompt);
+            this.onStep = options.onStep;
+        }
 
-        // "block" the script/interpreter until the click listener on actor/button is executed
-        const value = await promise;
+        // ordering of bubbles, the default one if null
+        this.compare = compareOf(options);
 
-        const processing = new CustomEvent('awa5:processing', {
-            bubbles: true,
-            detail: {
-                node: this.backing,
-                actor: this.button,
-                value: value,
-            },
-        });
-        this.backing.dispatchEvent(processing);
+        // kind of numbers held by bubbles
+        this.numeric = numericOf(options);
 
-        this.button.removeEventListener('click', listener);
+        // characters printed and read
+        this.charset = charsetOf(options);
 
-        return value;
+        // warning: describing each step is costly, so it's done only
+        // if somebody is listening; records of listeners and wrappers
+        this.stepListeners = new Set();
+
+        // suspension requested by pause, if any
+        this.paused = null;
+
+        // contexts of the programs being executed
+        this.runs = new Set();
+
+        // context of a restored program waiting to be run, if any
+        this.restored = null;
     }
 
     /**
-     * Reset the reader to read from the first line again.
+     * Listen to the events sent by the interpreter.
      *
-     * @returns this
+     * Same as `EventTarget.addEventListener`. Listeners of `awa5:step`
+     * are counted, until removed, called once or aborted, so that
+     * steps are described only while somebody listens.
      */
-    reset() {
-        // nothing to reset, but it keeps the interface uniform
-        return this;
+    addEventListener(type, listener, options) {
+        if ('awa5:step' !== type || !listener) {
+            super.addEventListener(type, listener, options);
+            return;
+        }
+
+        const capture = captureOf(options);
+        const signal = (options && 'object' === typeof options && options.signal) || null;
+        if (undefined !== this.stepListener(listener, capture) || (null !== signal && true === signal.aborted)) {
+            // already listening, or never to be
+            return;
+        }
+
+        const record = { listener: listener, capture: capture };
+        const once = (options && 'object' === typeof options && true === options.once);
+        record.wrapper = (event) => {
+            if (true === once) {
+                this.stepListeners.delete(record);
+            }
+
+            return ('function' === typeof listener) ? listener.call(this, event) : listener.handleEvent(event);
+        };
+        if (null !== signal) {
+            signal.addEventListener('abort', () => (this.stepListeners.delete(record)), { once: true });
+        }
+
+        this.stepListeners.add(record);
+        super.addEventListener(type, record.wrapper, options);
     }
-};
 
-/**
- * Output writer backed by an array.
- */
-class ArrayWriter {
     /**
-     * @param backing the array to write to
+     * Stop listening to the events sent by the interpreter.
+     *
+     * Same as `EventTarget.removeEventListener`.
      */
-    constructor(backing) {
-        this.backing = backing;
+    removeEventListener(type, listener, options) {
+        const record = ('awa5:step' === type) ? this.stepListener(listener, captureOf(options)) : undefined;
+        if (undefined === record) {
+            super.removeEventListener(type, listener, options);
+            return;
+        }
+
+        this.stepListeners.delete(record);
+        super.removeEventListener(type, record.wrapper, options);
     }
 
     /**
-     * Write (push) a line inside the backing array.
+     * Find the record of a listener of `awa5:step`.
      *
-     * @param line the line to push
-     * @returns this
+     * @param listener the listener given to `addEventListener`
+     * @param capture whether it listens in the capture phase
+     * @returns the record, undefined if not listening
      */
-    write(line) {
-        this.backing.push(line);
-        return this;
+    stepListener(listener, capture) {
+        for (let record of this.stepListeners) {
+            if (listener === record.listener && capture === record.capture) {
+                return record;
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Start the interpreter and execute the given input.
+     *
+     * Options are an object with an optional `signal`, an
+     * `AbortSignal` stopping the program before its next operation or
+     * while it waits for input.
+     *
+     * If the interpreter was created by `AWA5.restore`, calling this
+     * method without input resumes the restored program.
+     *
+     * The outcome is a `RunResult`: its `status` is `'ok'` when the
+     * program ends, along with the returned `value`, or `'error'` when
+     * the program is malformed or fails, along with the `error`, which
+     * is a `SyntaxError`, an `OpcodeError` or a `LimitError`. Either
+     * way it tells how many operations were executed and the abyss as
+     * the program left it. Nothing is written to the output writer
+     * but the program's own output, unless it has an `error` method:
+     * then it is also given the message of the error.
+     *
+     * @param input the input string
+     * @param options the run options
+     * @returns a promise of the outcome
+     * @throws an abort error, with the `cursor` of the next operation,
+     *   if the signal is aborted
+     * @throws a type error if the signal is not valid
+     */
+    async run(input, options) {
+        const signal = (options && 'object' === typeof options && options.signal) || null;
+        if (null !== signal && false === signal instanceof AbortSignal) {
+            throw new TypeError('not a valid signal');
+        }
+
+        // wake up paused programs when aborted
+        let wake = null;
+        const aborted = (null === signal) ? null : new Promise((resolve) => {
+            wake = resolve;
+            signal.addEventListener('abort', wake);
+        });
+
+        // when the program last let other code run
+        let yielded = Date.now();
+        const suspend = async () => {
+            // let timers and events in every now and then, or there
+            // would be no chance to pause or abort a program stuck in a
+            // loop
+            if (Date.now() - yielded > 10) {
+                await new Promise((resolve) => setTimeout(resolve, 0));
+                yielded = Date.now();
+            }
+
+            while (null !== this.paused && (null === signal || false === signal.aborted)) {
+                await ((null === signal) ? this.paused.gate : Promise.race([this.paused.gate, aborted]));
+            }
+        };
+
+        // waiting for nothing is costly, so most operations go on at once
+        const hook = (context) => {
+            if (null === this.paused && Date.now() - yielded <= 10) {
+                return null;
+            }
+
+            return suspend();
+        };
+
+        let listener = null;
+        if (null !== this.onStep || 0 !== this.stepListeners.size) {
+            listener = (detail) => {
+                if (null !== this.onStep) {
+                    this.onStep(detail);
+                }
+                this.dispatchEvent(new CustomEvent('awa5:step', { detail: detail }));
+            };
+        }
+
+        // state of this very run
+        let context = null;
+
+        // describe how the program was left
+        const outcome = (status, value, error) => (new RunResult(
+            status,
+            value,
+            (null === context) ? 0 : context.executed,
+            (null === context) ? [] : context.abyss.map((e) => (e.toJSON())),
+            error,
+        ));
+
+        try {
+            this.dispatchEvent(new CustomEvent('awa5:start', { detail: { input: input } }));
+
+            if (undefined === input && null !== this.restored) {
+                context = this.restored;
+                this.restored = null;
+            } else {
+                const trace = [];
+                const tokens = parser(trace, input, this.dialect);
+                context = new Context(tokens, [], trace);
+            }
+            this.runs.add(context);
+
+            const value = await interpreter(context.trace, context, this.intake, this.output, {
+                dialect: this.dialect,
+                limits: this.limits,
+                compare: this.compare,
+                numeric: this.numeric,
+                charset: this.charset,
+                hook: hook,
+                listener: listener,
+                signal: signal,
+            });
+            this.intake.reset(); // allow repeating the program as-is
+
+            const result = outcome('ok', value, null);
+            this.dispatchEvent(new CustomEvent('awa5:end', { detail: { value: value, result: result } }));
+            return result;
+        } catch (e) {
+            this.dispatchEvent(new CustomEvent('awa5:error', { detail: { error: e } }));
+
+            if (false === e instanceof SyntaxError && false === e instanceof OpcodeError && false === e instanceof LimitError) {
+                throw e;
+            }
+
+            await report(this.output, e);
+            return outcome('error', null, e);
+        } finally {
+            this.runs.delete(context);
+            await flush(this.output);
+            if (null !== signal) {
+                signal.removeEventListener('abort', wake);
+            }
+        }
     }
-};
 
-/**
- * Output writer backed by a DOM node.
- *
- * This writer will try to append some text to the specified DOM node.
- *
- * Not every DOM node is suitable: only `<input type="text">`, `<textarea>`,
- * `<div>`, `<span>`, `<p>` and `<pre>` are supported.
- */
-class DOMWriter {
     /**
-     * @param node the node to write to
-     * @throws a type error if the DOM node is not supported
+     * Capture the state of the program being executed.
+     *
+     * The state is taken before the next operation of the program, so
+     * a snapshot should be taken while the program is suspended: when
+     * paused, while waiting for input or from a step listener. The
+     * snapshot holds the tokens, the cursor, the labels, the number
+     * of operations executed, the abyss, the position of the reader,
+     * along with its lines if it is backed by an array, and the
+     * options of the interpreter.
+     *
+     * Only one program can be captured at a time: if several programs
+     * are being executed, none of them is.
+     *
+     * @returns a JSON string, to be given to `AWA5.restore`
+     * @throws an error if no program, or more than one, is being
+     *   executed
      */
-    constructor(node) {
-        const tag = node.tagName.toLowerCase();
+    snapshot() {
+        if (1 < this.runs.size) {
+            throw new Error('too many programs to capture');
+        }
 
-        switch (tag) {
-        case 'input':
-            if ('text' !== node.type) {
-                throw new TypeError('not a valid DOM node');
-            }
-            break;
-        case 'textarea':
-        case 'div':
-        case 'span':
-        case 'p':
-        case 'pre':
-            break;
-        default:
-            throw new TypeError('not a valid DOM node');
+        const context = (1 === this.runs.size) ? [...this.runs][0] : this.restored;
+        if (null === context) {
+            throw new Error('no program to capture');
         }
 
-        this.backing = node;
+        // infinity is not valid json, but false is a valid limit
+        const limits = {};
+        for (let name in this.limits) {
+            limits[name] = (Infinity === this.limits[name]) ? false : this.limits[name];
+        }
+
+        let reader = null;
+        if (this.intake instanceof ArrayReader) {
+            reader = { buffer: [...this.intake.backing], line: this.intake.line };
+        }
+
+        const tokens = context.tokens;
+        return JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            dialect: this.dialect,
+            numeric: this.numeric,
+            charset: this.charset.table,
+            limits: limits,
+            source: (0 === tokens.length) ? '' : tokens[0].source,
+            tokens: tokens.map((t) => ([t.value, t.start, t.end, t.line, t.column])),
+            cursor: context.cursor,
+            labels: [...context.labels],
+            executed: context.executed,
+            abyss: context.abyss.map(pack),
+            reader: reader,
+        });
     }
 
     /**
-     * Write (append) a line inside the backing DOM node.
+     * Suspend the running program before its next operation.
+     *
+     * The program stays suspended, along with any program started
+     * later, until `resume` is called.
      *
-     * @param line the line to push
      * @returns this
      */
-    write(line) {
-        if (0 === line.length) {
-            return;
-        }
-
-        const towrite = `${line}`.replace(/\n/g, '<br/>');
-        switch (this.backing.tagName.toLowerCase()) {
-        case 'input':
-        case 'textarea':
-            this.backing.value += towrite;
-            break;
-        default:
-            this.backing.innerHTML += towrite;
-            break;
+    pause() {
+        if (null === this.paused) {
+            const paused = {};
+            paused.gate = new Promise((resolve) => {
+                paused.release = resolve;
+            });
+            this.paused = paused;
         }
 
         return this;
     }
-};
-
-/**
- * Implentation of an interpreter for the AWA5.0 language.
- */
-export default class AWA5 {
-    constructor() {
-        // global stack
-        this.abyss = [];
-
-        // execution stack trace
-        this.trace = [];
 
-        // input by line
-        this.intake = new ArrayReader([]);
+    /**
+     * Resume a program suspended by `pause`.
+     *
+     * @returns this
+     */
+    resume() {
+        if (null !== this.paused) {
+            const release = this.paused.release;
+            this.paused = null;
+            release();
+        }
 
-        // output by line
-        this.output = new ArrayWriter([]);
+        return this;
     }
 
     /**
-     * Start the interpreter and execute the given input.
+     * Start debugging the given input.
+     *
+     * The program is suspended before its first operation, and runs
+     * only when asked to by the returned session: see `DebugSession`
+     * for the details.
+     *
+     * Options are an object with an optional `history`, the number of
+     * steps the session records to go back to them.
      *
      * @param input the input string
-     * @returns the last value generated by the interpreter
+     * @param options the session options
+     * @returns a debugging session
+     * @throws a syntax error if the input is malformed
+     * @throws a range error if an option is not valid
      */
-    async run(input) {
-        try {
-            const tokens = parser(this.trace, input);
-            const result = await interpreter(this.trace, this.abyss, tokens, this.intake, this.output);
-            this.intake.reset(); // allow repeating the program as-is
-            return result;
-        } catch (e) {
-            this.output.write(e);
-            for (let i=this.trace.length-1; i>=0; --i) {
-                this.output.write(`#${i} ${this.trace[i]}`);
+    debug(input, options) {
+        return new DebugSession(this, input, options);
+    }
+
+    /**
+     * Create an interpreter from a snapshot.
+     *
+     * The interpreter has the same options of the one the snapshot
+     * was taken from and, if the reader was backed by an array, a
+     * reader with the same lines at the same position. Calling `run`
+     * without input resumes the program where it was captured.
+     *
+     * @param json a snapshot, as a string or as parsed JSON
+     * @returns a new interpreter
+     * @throws a syntax error if the string is not valid JSON
+     * @throws a type error if the snapshot is not valid
+     */
+    static restore(json) {
+        const snapshot = ('string' === typeof json) ? JSON.parse(json) : json;
+        if (!snapshot || 'object' !== typeof snapshot || SNAPSHOT_VERSION !== snapshot.version) {
+            throw new TypeError('not a valid snapshot');
+        }
+
+        const fields = ['tokens', 'labels', 'abyss'];
+        for (let field of fields) {
+            if (false === Array.isArray(snapshot[field])) {
+                throw new TypeError(`not a valid snapshot: missing ${field}`);
             }
-            return 1;
         }
+
+        const awa5 = new AWA5({
+            dialect: snapshot.dialect,
+            numeric: snapshot.numeric,
+            charset: snapshot.charset,
+            limits: snapshot.limits,
+        });
+
+        const source = `${snapshot.source}`;
+        const tokens = snapshot.tokens.map((t) => (new Token(t[0], source, t[1], t[2], t[3], t[4])));
+        const context = new Context(tokens, snapshot.abyss.map(unpack));
+        context.labels = [...snapshot.labels];
+        context.cursor = snapshot.cursor;
+        context.executed = snapshot.executed;
+        if (false === Number.isInteger(context.cursor) || false === Number.isInteger(context.executed)) {
+            throw new TypeError('not a valid snapshot: invalid cursor');
+        }
+        awa5.restored = context;
+
+        if (snapshot.reader) {
+            const reader = new ArrayReader(snapshot.reader.buffer);
+            reader.line = snapshot.reader.line;
+            awa5.setInputReader(reader);
+        }
+
+        return awa5;
     }
 
     /**
      * Set the input reader to the given object.
      *
+     * Any object with an async `read` method, giving the next line,
+     * and a `reset` method is a reader, not only those made by
+     * `AWA5.reader`.
+     *
      * @param reader an input reader
      * @returns this
+     * @throws a type error if a method of readers is missing
      */
     setInputReader(reader) {
-        if (false === reader instanceof ArrayReader && false === reader instanceof DOMReader) {
-            throw new TypeError('not a valid reader');
-        }
-
-        this.intake = reader;
+        this.intake = readerOf(reader);
         return this;
     }
 
     /**
      * Set the output writer to the given object.
      *
-     * @param reader an output writer
+     * Any object with a `write` method, taking a line, is a writer,
+     * not only those made by `AWA5.writer`; writers may also have
+     * `flush` and `close` methods.
+     *
+     * @param writer an output writer
      * @returns this
+     * @throws a type error if a method of writers is missing
      */
     setOutputWriter(writer) {
-        if (false === writer instanceof ArrayWriter && false === writer instanceof DOMWriter) {
-            throw new TypeError('not a valid reader');
+        this.output = writerOf(writer);
+        return this;
+    }
+
+    /**
+     * Close the output writer, if it can be closed.
+     *
+     * The writer is flushed, then its `close` method is awaited, e.g.
+     * to end a stream or to return a generator; it should not be
+     * written to afterwards.
+     *
+     * @returns a promise of this
+     */
+    async close() {
+        await flush(this.output);
+        if ('function' === typeof this.output.close) {
+            await this.output.close();
         }
 
-        this.output = writer;
         return this;
     }
 
     /**
      * Create an input reader based on the given options, if present.
      *
-     * Options are an object with two possible format: if the `buffer`
-     * property is present, the reader will be backed by the
+     * Options are an object with several possible format: if the
+     * `buffer` property is present, the reader will be backed by the
      * associated array; if `node` and `actor` are present, the reader
-     * will be backed by a DOM node.
+     * will be backed by a DOM node; if `stream` is present, the reader
+     * will be backed by a Node `Readable`, e.g. `process.stdin`.
+     *
+     * Readers can also be adapted from an `iterable`, async or not,
+     * strings excepted, from a `generator` function, called again on reset, or from a
+     * `callback` giving a line, or a promise of it, each time it is
+     * called.
      *
-     * If all possible options are present, array-backed readers are
-     * given priority.
+     * If several options are present, they are given priority in the
+     * order above.
      *
      * @param options the reader options
      * @returns an input reader
+     * @throws a type error if the stream, the iterable, the generator
+     *   or the callback is not valid
      */
     static reader(options) {
         if (!options || 'object' !== typeof options) {
@@ -1515,22 +5969,51 @@ export default class AWA5 {
             return new DOMReader(options.node, options.actor);
         }
 
+        if (options.stream) {
+            return new StreamReader(options.stream);
+        }
+
+        if (options.iterable) {
+            return new IterableReader(options.iterable);
+        }
+
+        if (options.generator) {
+            if ('function' !== typeof options.generator) {
+                throw new TypeError('generator is not a function');
+            }
+            return new IterableReader(options.generator);
+        }
+
+        if (options.callback) {
+            return new CallbackReader(options.callback);
+        }
+
         return new ArrayReader([]);
     }
 
     /**
      * Create an output writer based on the given options, if present.
      *
-     * Options are an object with two possible format: if the `buffer`
-     * property is present, the writer will be backed by the
+     * Options are an object with several possible format: if the
+     * `buffer` property is present, the writer will be backed by the
      * associated array; if `node` is present, the writer will be
-     * backed by a DOM node.
+     * backed by a DOM node, along with the `scroll`, `scrollback` and
+     * `errorClass` options of `DOMWriter`; if `stream` is present, the
+     * writer will be backed by a Node `Writable`, e.g. `process.stdout`.
+     *
+     * Writers can also be adapted from a `generator` function, which
+     * receives each line as the value of its `yield`, or from a
+     * `callback` called with each line. Async ones make the
+     * interpreter wait for them.
      *
-     * If all possible options are present, array-backed writers are
-     * given priority.
+     * If several options are present, they are given priority in the
+     * order above.
      *
      * @param options the writer options
      * @returns an output writer
+     * @throws a type error if the node, the stream, the generator or
+     *   the callback is not valid
+     * @throws a range error if the scrollback is not valid
      */
     static writer(options) {
         if (!options || 'object' !== typeof options) {
@@ -1546,9 +6029,569 @@ export default class AWA5 {
         }
 
         if (options.node) {
-            return new DOMWriter(options.node);
+            return new DOMWriter(options.node, options);
+        }
+
+        if (options.stream) {
+            return new StreamWriter(options.stream);
+        }
+
+        if (options.generator) {
+            return new GeneratorWriter(options.generator);
+        }
+
+        if (options.callback) {
+            return new CallbackWriter(options.callback);
         }
 
         return new ArrayWriter([]);
     }
+
+    /**
+     * The AwaSCII codec of the specifications.
+     *
+     * Its `encode` turns a string into the values printed by `PRN` as
+     * its characters, e.g. `'Awa'` into `[0, 3, 2]`, and `decode` does
+     * the opposite; both throw a range error listing every `invalid`
+     * character or value with its `index`.
+     *
+     * @returns the AwaSCII charset
+     */
+    static get awascii() {
+        return AWASCII;
+    }
+
+    /**
+     * Create a character set, to encode and decode as `awascii` does
+     * or to be given as the `charset` option.
+     *
+     * The table is either the name of a known set, `'awascii'` or
+     * `'extended'`, or the characters of the set, as a string or an
+     * array, each one encoded as its index.
+     *
+     * @param table the characters of the set
+     * @returns a charset
+     * @throws a range error if the set is not known
+     * @throws a type error if the table is not valid
+     */
+    static charset(table) {
+        if ('string' === typeof table && Object.hasOwn(CHARSETS, table)) {
+            return charsetOf({ charset: table });
+        }
+
+        return new Charset(table);
+    }
+
+    /**
+     * Parse AWA5.0 source into a sequence of tokens.
+     *
+     * Each token has a numeric `value` and its position within the
+     * source, as `line` and `column` as well as `start` and `end`
+     * offsets.
+     *
+     * Options are an object with the `dialect` of the language, as
+     * accepted by the constructor.
+     *
+     * @param source the AWA5.0 source
+     * @param options the parser options
+     * @returns the sequence of tokens
+     * @throws a syntax error if the source is malformed
+     */
+    static parse(source, options) {
+        return parser([], source, dialectOf(options));
+    }
+
+    /**
+     * Assemble a sequence of mnemonics into AWA5.0 source.
+     *
+     * Mnemonics are written one per line with their argument, if
+     * any, e.g. `BLO 5` or `PRN`.
+     *
+     * Options are an object with the `dialect` of the language, as
+     * accepted by the constructor.
+     *
+     * @param text the mnemonics to assemble
+     * @param options the assembler options
+     * @returns the AWA5.0 source
+     * @throws a syntax or range error reporting the offending line
+     */
+    static assemble(text, options) {
+        return assembler([], text, dialectOf(options));
+    }
+
+    /**
+     * Disassemble AWA5.0 source into a listing of mnemonics.
+     *
+     * Each line of the listing shows the token index, the opcode, its
+     * argument and the matching portion of the source.
+     *
+     * Options are an object with the `dialect` of the language, as
+     * accepted by the constructor.
+     *
+     * @param source the AWA5.0 source
+     * @param options the disassembler options
+     * @returns the listing
+     * @throws a syntax error if the source is malformed
+     */
+    static disassemble(source, options) {
+        return disassembler([], source, dialectOf(options));
+    }
+
+    /**
+     * Generate AWA5.0 source printing the given text.
+     *
+     * The program pushes the characters of the text and prints them
+     * at once; before being returned it is run by the interpreter,
+     * without limits, to make sure it prints exactly the text. Long
+     * texts need about one operation per character, so they may
+     * exceed the default limit on operations.
+     *
+     * Options are an object with the `dialect` of the language and
+     * the `charset` of the text, as accepted by the constructor.
+     *
+     * @param text the text to print
+     * @param options the generator options
+     * @returns a promise of the AWA5.0 source
+     * @throws a range error if a character cannot be printed, or if an
+     *   option is not valid
+     * @throws a type error if the character set is not valid
+     */
+    static async generatePrinter(text, options) {
+        const trace = [];
+        const dialect = dialectOf(options);
+        const charset = charsetOf(options);
+        const source = assembler(trace, printer(trace, `${text}`, dialect, charset), dialect);
+
+        const output = [];
+        const context = new Context(parser(trace, source, dialect), [], trace);
+        await interpreter(trace, context, new ArrayReader([]), new ArrayWriter(output), {
+            dialect: dialect,
+            limits: limitsOf({ limits: false }),
+            charset: charset,
+        });
+        if (output.join('') !== `${text}`) {
+            throw new Error(`generated program prints '${output.join('')}' instead of '${text}'`);
+        }
+
+        return source;
+    }
+
+    /**
+     * Look for mistakes in AWA5.0 source without executing it.
+     *
+     * Diagnostics are objects with a `severity`, `'error'` or
+     * `'warning'`, a `message`, and the `index` of the offending
+     * token along with its `line` and `column`.
+     *
+     * A malformed source gives a single error diagnostic, without an
+     * index.
+     *
+     * Options are an object with the `dialect` of the language, as
+     * accepted by the constructor.
+     *
+     * @param source the AWA5.0 source
+     * @param options the linter options
+     * @returns array of diagnostics, empty if nothing was found
+     */
+    static lint(source, options) {
+        const trace = [];
+        const dialect = dialectOf(options);
+
+        let tokens = null;
+        try {
+            tokens = parser(trace, source, dialect);
+        } catch (e) {
+            return [{
+                severity: 'error',
+                message: e.message.split('\n')[0],
+                index: null,
+                line: (undefined === e.line) ? null : e.line,
+                column: (undefined === e.column) ? null : e.column,
+            }];
+        }
+
+        return linter(trace, tokens, dialect);
+    }
+
+    /**
+     * Compile AWA5.0 source into a Javascript function.
+     *
+     * The function executes the program exactly as `run` would,
+     * limits and errors included, but without the overhead of the
+     * interpreter; it takes an input reader and an output writer, as
+     * created by `reader` and `writer`, both optional, and returns a
+     * promise of a `RunResult`.
+     *
+     * Options are an object with the `dialect` of the language, the
+     * `limits` of the execution, the `compare` function, the `numeric`
+     * mode and the `charset`, as accepted by the constructor.
+     *
+     * Warning: the function is built with the `Function` constructor,
+     * which may be forbidden by the content security policy of a page.
+     *
+     * @param source the AWA5.0 source
+     * @param options the compiler options
+     * @returns an async function
+     * @throws a syntax error if the source is malformed
+     * @throws a range error if an option is not valid
+     * @throws a type error if `compare` is not a function, or if the
+     *   character set is not valid
+     */
+    static compile(source, options) {
+        const trace = [];
+        const dialect = dialectOf(options);
+        const limits = limitsOf(options);
+        const compare = compareOf(options);
+        const numeric = NUMERICS[numericOf(options)];
+        const charset = charsetOf(options);
+        const tokens = parser(trace, source, dialect);
+
+        // errors in labels are reported when running, as the interpreter does
+        let labels = [];
+        let failure = null;
+        try {
+            labels = labeler(trace, tokens, dialect);
+        } catch (e) {
+            failure = e;
+        }
+
+        const runtime = {
+            tokens, labels, limits, compare, numeric, charset,
+            Bubble, Arith, Comparator, Abysser, InOut, OpcodeError, LimitError, located,
+        };
+        const body = (null === failure) ? compiler(trace, tokens, labels, dialect, limits) : '';
+        const AsyncFunction = (async function () {}).constructor;
+        const program = new AsyncFunction('runtime', 'stdin', 'stdout', 'context', body);
+
+        return async function (reader, writer) {
+            const stdin = (undefined === reader) ? new ArrayReader([]) : readerOf(reader);
+            const stdout = (undefined === writer) ? new ArrayWriter([]) : writerOf(writer);
+
+            const context = new Context(tokens, [], []);
+            const abyss = context.abyss;
+            try {
+                if (null !== failure) {
+                    throw failure;
+                }
+                await program(runtime, stdin, stdout, context);
+            } catch (e) {
+                await report(stdout, e);
+                return new RunResult('error', null, context.executed, abyss.map((e) => (e.toJSON())), e);
+            } finally {
+                await flush(stdout);
+            }
+            stdin.reset(); // allow repeating the program as-is
+
+            const value = (abyss.length > 0) ? abyss[abyss.length - 1].toJSON() : 0;
+            return new RunResult('ok', value, context.executed, abyss.map((e) => (e.toJSON())), null);
+        };
+    }
+
+    /**
+     * Compile AWA5.0 source into a WebAssembly module.
+     *
+     * The module keeps the abyss in its linear memory and asks the
+     * host only to print and to read numbers, so it can run millions
+     * of operations in a fraction of the time of the interpreter. The
+     * returned promise gives an async function working as the one of
+     * `compile`: it takes an input reader and an output writer, both
+     * optional, instantiates the module and returns a promise of a
+     * `RunResult`. The compiled module is available as its `module`
+     * property, and its bytes as `bytes`.
+     *
+     * Bubbles in the module are plain numbers: operations making
+     * double bubbles or strings, namely `RED`, `SRN`, `MRG` and `DIV`,
+     * are not supported.
+     *
+     * Options are an object with the `dialect` of the language, the
+     * `limits` of the execution and the `charset`, as accepted by the
+     * constructor; the limit on the bubble size never applies. Only
+     * the default `numeric` mode is supported.
+     *
+     * @param source the AWA5.0 source
+     * @param options the compiler options
+     * @returns a promise of an async function
+     * @throws a syntax error if the source is malformed
+     * @throws a range error if an option is not valid
+     * @throws a type error if an operation is not supported
+     */
+    static async compileToWasm(source, options) {
+        const trace = [];
+        const dialect = dialectOf(options);
+        const limits = limitsOf(options);
+        const numeric = numericOf(options);
+        if ('number' !== numeric) {
+            throw new RangeError(`numeric mode '${numeric}' not supported in WebAssembly`);
+        }
+        const charset = charsetOf(options);
+        const tokens = parser(trace, source, dialect);
+
+        // errors in labels are reported when running, as the interpreter does
+        let labels = [];
+        let failure = null;
+        try {
+            labels = labeler(trace, tokens, dialect);
+        } catch (e) {
+            failure = e;
+        }
+
+        const bytes = wasmer(trace, (null === failure) ? tokens : [], labels, dialect, limits);
+        const module = await WebAssembly.compile(bytes);
+
+        const program = async function (reader, writer) {
+            const stdin = (undefined === reader) ? new ArrayReader([]) : readerOf(reader);
+            const stdout = (undefined === writer) ? new ArrayWriter([]) : writerOf(writer);
+
+            const inout = new InOut(stdin, stdout, undefined, undefined, charset);
+
+            // the module cannot wait while running, so full writers are
+            // waited for when it stops
+            let writing = 0;
+            const write = (method) => ((v, cursor) => {
+                try {
+                    inout[method](trace, new Bubble(v));
+                } catch (e) {
+                    throw located(e, tokens, cursor);
+                }
+                if (null !== inout.backlog) {
+                    writing = cursor;
+                }
+            });
+            const drain = async () => {
+                if (null === inout.backlog) {
+                    return;
+                }
+                try {
+                    await inout.drain(trace, tokens[writing]);
+                } catch (e) {
+                    throw located(e, tokens, writing);
+                }
+            };
+            const host = {
+                fail: (code, cursor) => {
+                    throw located(WASM_FAILURES[code](tokens[cursor], limits), tokens, cursor);
+                },
+                prn: write('write'),
+                pr1: write('writeRaw'),
+                now: () => (Date.now()),
+            };
+            const instance = await WebAssembly.instantiate(module, { host });
+            const { run, memory, sp, executed } = instance.exports;
+
+            let error = failure;
+            if (null === error) {
+                try {
+                    inout.wallClockMs = limits.wallClockMs;
+                    inout.deadline = Date.now() + limits.wallClockMs;
+
+                    // the module stops whenever it needs a number
+                    for (let waiting=run(0); 0 !== waiting; ) {
+                        await drain();
+
+                        let input = 0;
+                        try {
+                            input = (await inout.readRaw(trace, tokens[waiting - 1])).value();
+                        } catch (e) {
+                            throw located(e, tokens, waiting - 1);
+                        }
+                        waiting = run(input);
+                    }
+                    await drain();
+                } catch (e) {
+                    error = e;
+                }
+            }
+
+            // the writer failing does not matter once the module failed
+            if (null !== inout.backlog) {
+                inout.backlog.catch(() => {});
+            }
+            if (null !== error) {
+                await report(stdout, error);
+            }
+            await flush(stdout);
+
+            const abyss = Array.from(new Float64Array(memory.buffer, 0, sp.value));
+            if (null !== error) {
+                return new RunResult('error', null, executed.value, abyss, error);
+            }
+            stdin.reset(); // allow repeating the program as-is
+
+            const value = (abyss.length > 0) ? abyss[abyss.length - 1] : 0;
+            return new RunResult('ok', value, executed.value, abyss, null);
+        };
+        program.module = module;
+        program.bytes = bytes;
+
+        return program;
+    }
+
+    /**
+     * Run AWA5.0 source in a worker, terminated when out of time.
+     *
+     * The program runs in a Web Worker in browsers, in a worker
+     * thread in Node, so that not even an endless loop can freeze the
+     * main thread: the worker reads and writes through the reader and
+     * the writer of the main thread, both optional, and is terminated
+     * as soon as the program ends or its time is over. Lines are
+     * written one after the other, the worker waiting for full
+     * writers, and reads still pending then are aborted through
+     * their signal.
+     *
+     * Options are an object with the `dialect` of the language, the
+     * `limits` of the execution, the `numeric` mode and the `charset`,
+     * as accepted by the constructor, the `reader` and the `writer`, as created by
+     * `reader` and `writer`, and the `timeout` in milliseconds, 10
+     * seconds by default, including the time spent waiting for input.
+     *
+     * @param source the AWA5.0 source
+     * @param options the run options
+     * @returns a promise of a `RunResult`, as given by `run`
+     * @throws a timeout error if the program is out of time
+     * @throws a range error if an option is not valid
+     * @throws a type error if the reader or the writer is not valid, or
+     *   if `compare` is given
+     */
+    static async runInWorker(source, options) {
+        const settings = (options && 'object' === typeof options) ? options : {};
+        const dialect = dialectOf(options);
+        const limits = limitsOf(options);
+        const numeric = numericOf(options);
+        const charset = charsetOf(options);
+
+        if (undefined !== settings.compare) {
+            // functions cannot be sent to workers
+            throw new TypeError('compare is not available in workers');
+        }
+
+        const timeout = (undefined === settings.timeout) ? WORKER_TIMEOUT : settings.timeout;
+        if ('number' !== typeof timeout || isNaN(timeout) || timeout <= 0) {
+            throw new RangeError('invalid value for timeout');
+        }
+
+        const stdin = (undefined === settings.reader) ? new ArrayReader([]) : readerOf(settings.reader);
+        const stdout = (undefined === settings.writer) ? new ArrayWriter([]) : writerOf(settings.writer);
+
+        let resolve = null;
+        let reject = null;
+        const outcome = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+
+        // reads still pending are aborted once the run is over
+        const controller = new AbortController();
+
+        // lines are written one after the other, each telling the
+        // worker once it is written so that it waits for full writers
+        let writing = Promise.resolve();
+
+        let worker = null;
+        const receive = async (message) => {
+            try {
+                switch (message.type) {
+                case 'write':
+                    writing = writing.then(async () => {
+                        await stdout.write(message.line);
+                        worker.send({ type: 'written' });
+                    });
+                    writing.catch(reject);
+                    break;
+                case 'read':
+                    await writing;
+                    worker.send({ type: 'input', line: await stdin.read(controller.signal) });
+                    break;
+                case 'end': {
+                    await writing;
+                    const r = message.result;
+                    const error = (null === r.error) ? null : revive(r.error);
+                    resolve(new RunResult(r.status, r.value, r.operationsExecuted, r.finalAbyss, error));
+                    break;
+                }
+                case 'throw':
+                    reject(revive(message.error));
+                    break;
+                default:
+                    break;
+                }
+            } catch (e) {
+                reject(e);
+            }
+        };
+
+        worker = await spawn(import.meta.url, receive, reject);
+        const timer = setTimeout(() => reject(new TimeoutError(timeout)), timeout);
+        try {
+            worker.send({
+                type: 'run',
+                source: source,
+                dialect: dialect,
+                limits: limits,
+                numeric: numeric,
+                charset: [...charset.table],
+            });
+            const result = await outcome;
+            if (null !== result.error) {
+                await report(stdout, result.error);
+            }
+            stdin.reset(); // allow repeating the program as-is
+            return result;
+        } finally {
+            clearTimeout(timer);
+            controller.abort(new Error('the run is over'));
+            worker.terminate();
+            await flush(stdout);
+        }
+    }
+
+    /**
+     * Serve the programs of `runInWorker` from within a worker.
+     *
+     * This is the worker side of `runInWorker`: programs, as well as
+     * the lines read by the main thread, come as messages on the port,
+     * and output goes back the same way.
+     *
+     * @param port the port of the worker, `self` in browsers and
+     *   `parentPort` in Node
+     */
+    static serve(port) {
+        const reader = new PortReader(port);
+        const writer = new PortWriter(port);
+
+        port.addEventListener('message', async (event) => {
+            const message = event.data;
+
+            switch (message.type) {
+            case 'input':
+                reader.supply(message.line);
+                break;
+            case 'written':
+                writer.written();
+                break;
+            case 'run': {
+                const awa5 = new AWA5({
+                    dialect: message.dialect,
+                    limits: message.limits,
+                    numeric: message.numeric,
+                    charset: message.charset,
+                });
+                awa5.intake = reader;
+                awa5.output = writer;
+
+                try {
+                    const result = await awa5.run(message.source);
+                    const error = (null === result.error) ? null : flatten(result.error);
+                    port.postMessage({ type: 'end', result: { ...result, error: error } });
+                } catch (e) {
+                    port.postMessage({ type: 'throw', error: flatten(e) });
+                }
+                break;
+            }
+            default:
+                break;
+            }
+        });
+    }
 };
+
+export { OpcodeError, LimitError, AbortError, TimeoutError, RunResult };
@@ -0,0 +1,159 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Compare the parser against its previous, regex-based, implementation.
+ *
+ * Run with `npm run bench`; the numbers in the README come from here.
+ */
+
+import AWA5 from '../awa5.js';
+
+/**
+ * The parser as it was before the single-pass rewrite.
+ *
+ * Kept verbatim, except for the trace and the opcode helpers, so the
+ * comparison is fair.
+ *
+ * @param input the string to parse
+ * @returns a sequence of numbers
+ */
+const legacy = function (input) {
+    const cleaned = input
+          .replace(/[^aw~\s]+/gi, '')
+          .replace(/[\n\s]+/g, ' ')
+          .toLocaleLowerCase();
+
+    let cursor = cleaned.search(/awa\s*/);
+    if (-1 === cursor) {
+        throw new SyntaxError('missing start of block');
+    }
+    cursor = cursor + 3;
+
+    const tokens = [];
+
+    let bits = 0;
+    let target = 5;
+    let value = 0;
+    let parameter = false;
+
+    while (cursor < cleaned.length - 1) {
+        if ('wa' === cleaned.substring(cursor, cursor + 2)) {
+            value = value << 1;
+            value = value + 1;
+            cursor = cursor + 2;
+        } else if (' awa' === cleaned.substring(cursor, cursor + 4)) {
+            value = value << 1;
+            cursor = cursor + 4;
+        } else if (' ~wa' === cleaned.substring(cursor, cursor + 4) && 0 === bits) {
+            value = -1;
+            cursor = cursor + 4;
+        } else {
+            throw new SyntaxError(`malformed input (${cursor})`);
+        }
+
+        bits = bits + 1;
+
+        if (bits >= target) {
+            tokens.push(value);
+
+            bits = 0;
+            if (true === parameter) {
+                target = 5;
+                value = 0;
+                parameter = false;
+                continue;
+            }
+
+            switch ((value >>> 0) % 32) {
+            case 5: case 6: case 9: case 16: case 17:
+            case 18: case 19: case 20: case 21:
+                parameter = true;
+                target = 8;
+                break;
+            default:
+                break;
+            }
+
+            value = 0;
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Build a program of roughly the given size, in characters.
+ *
+ * The program is made of a commented loop repeated over and over, so
+ * the parser also has to skip comments and formatting.
+ *
+ * @param size how many characters the program should have
+ * @returns the source of the program
+ */
+const program = function (size) {
+    const chunk = AWA5.assemble('BLO 5\nBLO -3\nLBL 7\n4DD\nDPL\nPR1\nEQZ 7\nPOP')
+          .replace(/ awa/g, '\n  awa')
+          .replace(/^awa/, '');
+    const comment = '\n// push, sum, print, loop\n';
+
+    let source = 'awa';
+    const parts = [];
+    for (let length=source.length; length<size; length+=chunk.length+comment.length) {
+        parts.push(comment, chunk);
+    }
+
+    return source + parts.join('');
+};
+
+/**
+ * Measure the time taken by a parser, keeping the best of some runs.
+ *
+ * @param parse the parser to measure
+ * @param source the source to parse
+ * @returns milliseconds taken
+ */
+const measure = function (parse, source) {
+    let best = Infinity;
+
+    for (let i=0; i<5; ++i) {
+        const start = performance.now();
+        parse(source);
+        best = Math.min(best, performance.now() - start);
+    }
+
+    return best;
+};
+
+const sizes = [64 * 1024, 256 * 1024, 1024 * 1024, 4 * 1024 * 1024, 16 * 1024 * 1024];
+
+console.log('| size | legacy (ms) | single pass (ms) | legacy ms/MiB | single pass ms/MiB |');
+console.log('| ---: | ---: | ---: | ---: | ---: |');
+
+for (let size of sizes) {
+    const source = program(size);
+    const mib = source.length / (1024 * 1024);
+
+    // both parsers must agree before comparing them
+    const expected = legacy(source);
+    const actual = AWA5.parse(source).map((t) => (t.value));
+    if (expected.length !== actual.length || expected.some((v, i) => (v !== actual[i]))) {
+        throw new Error(`parsers disagree on ${size} characters`);
+    }
+
+    const before = measure(legacy, source);
+    const after = measure(AWA5.parse, source);
+
+    console.log(`| ${Math.round(source.length / 1024)} KiB | ${before.toFixed(1)} | ${after.toFixed(1)} | ${(before / mib).toFixed(1)} | ${(after / mib).toFixed(1)} |`);
+}
@@ -0,0 +1,157 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check the readers and writers adapted from iterables, generators and
+ * callbacks, and custom ones.
+ *
+ * Run with `npm test`; adapters are used by `run` as any reader or
+ * writer would be.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Run a program with the given reader and writer.
+ *
+ * @param mnemonics the program, as mnemonics
+ * @param reader the input reader, if any
+ * @param writer the output writer, if any
+ * @returns a promise of the `RunResult`
+ */
+const run = function (mnemonics, reader, writer) {
+    const awa5 = new AWA5();
+    if (undefined !== reader) {
+        awa5.setInputReader(reader);
+    }
+    if (undefined !== writer) {
+        awa5.setOutputWriter(writer);
+    }
+
+    return awa5.run(AWA5.assemble(mnemonics));
+};
+
+test('iterables and generators give lines', async () => {
+    const output = [];
+    const writer = AWA5.writer({ buffer: output });
+
+    const iterable = AWA5.reader({ iterable: new Set(['1', '2']) });
+    assert.equal((await run('R3D\nR3D\nR3D\n4DD\n4DD\nPR1', iterable, writer)).status, 'ok');
+
+    const generator = AWA5.reader({
+        generator: async function* () {
+            yield 'Awa';
+            yield 5;
+        },
+    });
+    assert.equal((await run('RED\nR3D\nPR1\nPRN', generator, writer)).status, 'ok');
+
+    // generators start over when the program is repeated
+    assert.equal((await run('RED\nR3D\nPR1\nPRN', generator, writer)).status, 'ok');
+    assert.deepEqual(output, ['3', '5', 'Awa', '5', 'Awa']);
+});
+
+test('strings are not iterables of lines', () => {
+    assert.throws(() => AWA5.reader({ iterable: 'Awa\nawa' }), TypeError);
+});
+
+test('callbacks give and take lines', async () => {
+    const output = [];
+    const reader = AWA5.reader({ callback: async () => ('4') });
+    const writer = AWA5.writer({
+        callback: async (line) => {
+            output.push(line);
+        },
+    });
+
+    assert.equal((await run('R3D\nDPL\nPR1\nPR1', reader, writer)).status, 'ok');
+    assert.deepEqual(output, ['4', '4']);
+});
+
+test('writers returning thenables are waited for', async () => {
+    const events = [];
+    const writer = {
+        write: (line) => ({
+            then: (resolve) => {
+                setTimeout(() => {
+                    events.push(`written ${line}`);
+                    resolve();
+                }, 10);
+            },
+        }),
+    };
+    const reader = {
+        read: async () => {
+            events.push('read');
+            return '';
+        },
+        reset: () => {},
+    };
+
+    assert.equal((await run('BLO 1\nPR1\nR3D', reader, writer)).status, 'ok');
+    assert.deepEqual(events, ['written 1', 'read']);
+
+    events.length = 0;
+    const callback = AWA5.writer({ callback: writer.write });
+    assert.equal((await run('BLO 1\nPR1\nR3D', reader, callback)).status, 'ok');
+    assert.deepEqual(events, ['written 1', 'read']);
+});
+
+test('generators take lines and are closed', async () => {
+    const lines = [];
+    let closed = false;
+    const awa5 = new AWA5();
+    awa5.setOutputWriter(AWA5.writer({
+        generator: function* () {
+            try {
+                for (;;) {
+                    lines.push(yield);
+                }
+            } finally {
+                closed = true;
+            }
+        },
+    }));
+
+    assert.equal((await awa5.run(AWA5.assemble('BLO 1\nPR1\nBLO 2\nPR1'))).status, 'ok');
+    await awa5.close();
+    assert.deepEqual(lines, ['1', '2']);
+    assert.equal(closed, true);
+});
+
+test('async generators failing to start fail the run', async () => {
+    const writer = AWA5.writer({
+        generator: async function* () {
+            throw new Error('no output today');
+        },
+    });
+
+    const result = await run('BLO 1\nPR1', undefined, writer);
+    assert.equal(result.status, 'error');
+    assert.match(result.error.message, /no output today/);
+});
+
+test('async generators failing to start fail the flush', async () => {
+    const writer = AWA5.writer({
+        generator: async function* () {
+            throw new Error('no output today');
+        },
+    });
+
+    await assert.rejects(writer.flush(), /no output today/);
+});
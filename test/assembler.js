@@ -0,0 +1,111 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check the assembler and the disassembler.
+ *
+ * Run with `npm test`; programs are assembled, run and disassembled
+ * back to their mnemonics.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+test('mnemonics are assembled into runnable code', async () => {
+    const source = AWA5.assemble(`
+        BLO 5   ; push 5
+        BLO -3  ; negative arguments are fine too
+
+        4DD
+        PR1
+    `);
+    assert.equal(source, 'awa awa awawa awawa awa awa awa awa awawa awawa awa awawa awawa ~wawawawawawa awawa '
+        + 'awawa awawawa awa awa awawa awa');
+
+    const output = [];
+    const awa5 = new AWA5();
+    awa5.setOutputWriter(AWA5.writer({ buffer: output }));
+    const result = await awa5.run(source);
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(output, ['2']);
+});
+
+test('every mnemonic survives a round trip', () => {
+    const mnemonics = [
+        'NOP', 'PRN', 'PR1', 'RED', 'R3D', 'BLO -128', 'BLO 255', 'SBM 2', 'POP', 'DPL', 'SRN 3', 'MRG',
+        '4DD', 'SUB', 'MUL', 'DIV', 'CNT', 'LBL 7', 'JMP 7', 'EQL 1', 'LSS 2', 'GR8 3', 'EQZ 4', 'TRM',
+    ];
+    const source = AWA5.assemble(mnemonics.join('\n'));
+
+    const listing = AWA5.disassemble(source).split('\n');
+    assert.equal(listing.length, mnemonics.length);
+    for (let i=0; i<mnemonics.length; ++i) {
+        const [name, argument] = mnemonics[i].split(' ');
+        const columns = listing[i].trim().split(/\s+/);
+        assert.equal(columns[1], name);
+        if (undefined !== argument) {
+            assert.equal(columns[2], argument);
+        }
+    }
+
+    // tokens are listed with their index, arguments included
+    const tokens = AWA5.parse(source);
+    assert.equal(listing[listing.length - 1].trim().split(/\s+/)[0], `${tokens.length - 1}`);
+});
+
+test('listings show the awawas of each instruction', () => {
+    const listing = AWA5.disassemble(AWA5.assemble('BLO 5\nBLO -3\n4DD\nPR1'));
+
+    assert.equal(listing, [
+        '     0  BLO    5  awa awawa awawa awa awa awa awa awawa awawa',
+        '     2  BLO   -3  awa awawa awawa ~wawawawawawa awawa',
+        '     4  4DD       awawa awawawa',
+        '     5  PR1       awa awa awawa awa',
+    ].join('\n'));
+});
+
+test('mistakes are reported with their line', () => {
+    const cases = [
+        ['PRN\nFOO', SyntaxError, /unknown mnemonic 'FOO' \(line 2\)/],
+        ['BLO', SyntaxError, /missing argument for BLO \(line 1\)/],
+        ['BLO x', SyntaxError, /invalid argument 'x' for BLO/],
+        ['PRN 3', SyntaxError, /unexpected argument for PRN/],
+        ['BLO 300', RangeError, /argument 300 out of range/],
+        ['BLO -129', RangeError, /argument -129 out of range/],
+    ];
+
+    for (let [mnemonics, type, message] of cases) {
+        assert.throws(() => AWA5.assemble(mnemonics), (e) => {
+            assert.ok(e instanceof type, mnemonics);
+            assert.match(e.message, message);
+            return true;
+        });
+    }
+});
+
+test('malformed code cannot be disassembled', () => {
+    assert.throws(() => AWA5.disassemble('nope'), SyntaxError);
+});
+
+test('the original dialect takes no labels for comparisons', () => {
+    const source = AWA5.assemble('BLO 1\nBLO 1\nEQL\nPR1', { dialect: 'original' });
+
+    const listing = AWA5.disassemble(source, { dialect: 'original' }).split('\n');
+    assert.equal(listing.length, 4);
+    assert.equal(listing[2].trim().split(/\s+/)[1], 'EQL');
+    assert.throws(() => AWA5.assemble('EQZ', { dialect: 'original' }), SyntaxError);
+});
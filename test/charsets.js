@@ -0,0 +1,109 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check the character sets encoding strings as values.
+ *
+ * Run with `npm test`; sets are used directly and through the
+ * `charset` option of programs.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { OpcodeError } from '../awa5.js';
+
+test('AwaSCII encodes and decodes strings', () => {
+    assert.deepEqual(AWA5.awascii.encode('Awa'), [0, 3, 2]);
+    assert.equal(AWA5.awascii.decode([0, 3, 2]), 'Awa');
+    assert.equal(AWA5.awascii.table.length, 64);
+
+    const all = AWA5.awascii.table.join('');
+    assert.equal(AWA5.awascii.decode(AWA5.awascii.encode(all)), all);
+});
+
+test('invalid characters and values are listed', () => {
+    assert.throws(() => AWA5.awascii.encode('A?wa#'), (e) => {
+        assert.ok(e instanceof RangeError);
+        assert.deepEqual(e.invalid, [{ character: '?', index: 1 }, { character: '#', index: 4 }]);
+        assert.match(e.message, /"\?" at 1, "#" at 4$/);
+        return true;
+    });
+
+    assert.throws(() => AWA5.awascii.decode([0, 64, -1, 1.5]), (e) => {
+        assert.ok(e instanceof RangeError);
+        assert.deepEqual(e.invalid.map((i) => (i.index)), [1, 2, 3]);
+        assert.match(e.message, /64 at 1, -1 at 2, 1.5 at 3$/);
+        return true;
+    });
+});
+
+test('error messages stay short', () => {
+    const text = '?'.repeat(100);
+    assert.throws(() => AWA5.awascii.encode(text), (e) => {
+        assert.equal(e.invalid.length, 100);
+        assert.match(e.message, / and 90 more$/);
+        assert.ok(e.message.includes(`'${'?'.repeat(40)}...'`));
+        assert.ok(e.message.length < 250);
+        return true;
+    });
+
+    assert.throws(() => AWA5.awascii.decode(new Array(25).fill(99)), (e) => {
+        assert.equal(e.invalid.length, 25);
+        assert.match(e.message, / and 15 more$/);
+        return true;
+    });
+});
+
+test('character sets can be made', () => {
+    const binary = AWA5.charset('01');
+    assert.deepEqual(binary.encode('110'), [1, 1, 0]);
+    assert.equal(binary.decode([0, 1]), '01');
+
+    const words = AWA5.charset(['a', 'é', '🐱']);
+    assert.deepEqual(words.encode('🐱é'), [2, 1]);
+
+    assert.throws(() => AWA5.charset(''), TypeError);
+    assert.throws(() => AWA5.charset('aba'), TypeError);
+    assert.throws(() => AWA5.charset(['ab']), TypeError);
+});
+
+test('programs use the charset option', async () => {
+    const source = AWA5.assemble('RED\nDPL\nPRN\nCNT\nPR1');
+    for (let charset of ['extended', AWA5.charset('xyz?'), ['x', 'y', 'z', '?']]) {
+        const output = [];
+        const awa5 = new AWA5({ charset: charset });
+        awa5.setInputReader(AWA5.reader({ buffer: ['x?z'] })).setOutputWriter(AWA5.writer({ buffer: output }));
+        const result = await awa5.run(source);
+        assert.equal(result.status, 'ok');
+        assert.equal(output.join(''), 'x?z3');
+    }
+
+    const output = [];
+    await AWA5.compile(source, { charset: 'extended' })(AWA5.reader({ buffer: ['{}'] }), AWA5.writer({ buffer: output }));
+    assert.equal(output.join(''), '{}2');
+
+    assert.throws(() => new AWA5({ charset: 'ebcdic' }), RangeError);
+});
+
+test('values outside the set cannot be printed', async () => {
+    for (let charset of [undefined, 'extended']) {
+        const result = await new AWA5({ charset: charset }).run(AWA5.assemble('BLO 120\nPRN'));
+        assert.equal(result.status, 'error');
+        assert.ok(result.error instanceof OpcodeError);
+    }
+
+    const extended = await new AWA5({ charset: 'extended' }).run(AWA5.assemble('BLO 64\nPRN'));
+    assert.equal(extended.status, 'ok');
+});
@@ -0,0 +1,192 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check that compiled programs behave exactly as interpreted ones.
+ *
+ * Run with `npm test`; every program is run by `run` and by the
+ * function of `AWA5.compile`, then the outputs and the results,
+ * errors included, are compared.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Lines given to the programs reading input.
+ */
+const INPUT = ['3', 'Awa', '', '7', 'AWA'];
+
+/**
+ * Run a program both ways.
+ *
+ * @param source the AWA5.0 source
+ * @param options the options of the interpreter and of the compiler
+ * @returns the outcomes of the interpreter and of the compiled
+ *   function, each with its `result` and `output`
+ */
+const both = async function (source, options) {
+    const interpreted = { output: [] };
+    const awa5 = new AWA5(options);
+    awa5.setInputReader(AWA5.reader({ buffer: INPUT })).setOutputWriter(AWA5.writer({ buffer: interpreted.output }));
+    interpreted.result = await awa5.run(source);
+
+    const compiled = { output: [] };
+    const program = AWA5.compile(source, options);
+    compiled.result = await program(AWA5.reader({ buffer: INPUT }), AWA5.writer({ buffer: compiled.output }));
+
+    return [interpreted, compiled];
+};
+
+/**
+ * Describe an outcome with plain values, errors included.
+ *
+ * @param outcome the outcome of a run
+ * @returns an object to compare
+ */
+const plain = function (outcome) {
+    const r = outcome.result;
+    const e = r.error;
+
+    return {
+        status: r.status,
+        value: r.value,
+        operationsExecuted: r.operationsExecuted,
+        finalAbyss: r.finalAbyss,
+        error: (null === e) ? null : {
+            name: e.name,
+            message: e.message,
+            cursor: e.cursor,
+            limit: e.limit,
+        },
+        output: outcome.output,
+    };
+};
+
+/**
+ * Programs covering every opcode and the ways to fail, as mnemonics.
+ */
+const PROGRAMS = [
+    ['addition', 'BLO 5\nBLO 3\n4DD\nPR1'],
+    ['division', 'BLO 7\nBLO 2\nDIV\nPR1'],
+    ['double bubbles', 'BLO 1\nBLO 2\nSRN 2\nDPL\nMRG\nCNT\nPR1\nPR1'],
+    ['nested bubbles', 'BLO 1\nBLO 2\nSRN 2\nBLO 3\nSRN 2\nDPL\n4DD\nPR1'],
+    ['strings', 'RED\nRED\nPRN\nPRN'],
+    ['numbers', 'R3D\nR3D\nMUL\nPR1'],
+    ['submerge', 'BLO 1\nBLO 2\nBLO 3\nSBM 0\nSBM 1\nPR1\nPR1\nPR1'],
+    ['countdown', 'BLO 3\nLBL 1\nDPL\nPR1\nBLO 1\nSUB\nEQZ 2\nJMP 1\nLBL 2\nTRM\nPR1'],
+    ['comparisons', 'BLO 1\nBLO 2\nLSS 1\nGR8 1\nEQL 1\nBLO 9\nLBL 1\nPR1'],
+    ['unknown label', 'BLO 1\nJMP 3\nPR1'],
+    ['printing an empty abyss', 'PRN'],
+    ['submerging an empty abyss', 'SBM 3'],
+    ['dividing a single bubble', 'BLO 1\nDIV'],
+    ['dividing an empty abyss', 'DIV'],
+    ['popping an empty abyss', 'POP'],
+    ['merging a single bubble', 'BLO 1\nMRG'],
+    ['surrounding too many bubbles', 'BLO 1\nSRN 2\nPR1'],
+    ['printing out of range', 'BLO 64\nPRN'],
+    ['reading a string as a number', 'RED\nRED\nRED\nRED\nRED\nR3D'],
+    ['endless loop', 'LBL 1\nBLO 1\nPOP\nJMP 1'],
+];
+
+for (let [name, mnemonics] of PROGRAMS) {
+    test(`${name} runs the same when compiled`, async () => {
+        const [interpreted, compiled] = await both(AWA5.assemble(mnemonics), { limits: { operations: 100 } });
+        assert.deepEqual(plain(compiled), plain(interpreted));
+    });
+}
+
+test('limits fail the same when compiled', async () => {
+    const cases = [
+        ['BLO 1\nBLO 2\n4DD', { operations: 3 }],
+        ['BLO 1\nBLO 2\n4DD\nPR1', { operations: 3 }],
+        ['BLO 1\nBLO 2\nBLO 3', { abyssDepth: 2 }],
+        ['BLO 1\nBLO 2\nBLO 3\nSRN 3', { bubbleSize: 2 }],
+    ];
+
+    for (let [mnemonics, limits] of cases) {
+        const [interpreted, compiled] = await both(AWA5.assemble(mnemonics), { limits: limits });
+        assert.deepEqual(plain(compiled), plain(interpreted));
+    }
+});
+
+test('malformed programs fail the same when compiled', async () => {
+    for (let source of ['nope', 'awa wawawa', 'awa awawawa ~']) {
+        const interpreted = await new AWA5().run(source);
+        assert.equal(interpreted.status, 'error');
+
+        let compiled = null;
+        try {
+            compiled = await AWA5.compile(source)();
+        } catch (e) {
+            compiled = { error: e };
+        }
+        assert.equal(compiled.error.name, interpreted.error.name);
+        assert.equal(compiled.error.message, interpreted.error.message);
+    }
+});
+
+test('random programs run the same when compiled', async () => {
+    const names = ['NOP', 'PRN', 'PR1', 'RED', 'R3D', 'BLO', 'SBM', 'POP', 'DPL', 'SRN', 'MRG', '4DD', 'SUB',
+        'MUL', 'DIV', 'CNT', 'LBL', 'JMP', 'EQL', 'LSS', 'GR8', 'EQZ', 'TRM'];
+
+    // a fixed seed keeps failures reproducible
+    let seed = 12345;
+    const random = (n) => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return (seed >>> 12) % n;
+    };
+
+    for (let k=0; k<300; ++k) {
+        const dialect = (0 === k % 3) ? 'original' : 'awa5js';
+        const lines = [];
+        for (let i=0, n=1+random(16); i<n; ++i) {
+            let name = names[random(names.length)];
+            if ('original' === dialect && 'EQZ' === name) {
+                name = 'NOP';
+            }
+
+            let argument = '';
+            switch (name) {
+            case 'BLO':
+                argument = ` ${random(20) - 5}`;
+                break;
+            case 'SBM':
+            case 'SRN':
+                argument = ` ${random(4)}`;
+                break;
+            case 'LBL':
+            case 'JMP':
+                argument = ` ${random(3)}`;
+                break;
+            case 'EQL':
+            case 'LSS':
+            case 'GR8':
+            case 'EQZ':
+                argument = ('original' === dialect) ? '' : ` ${random(3)}`;
+                break;
+            default:
+                break;
+            }
+            lines.push(name + argument);
+        }
+
+        const source = AWA5.assemble(lines.join('\n'), { dialect: dialect });
+        const options = { dialect: dialect, limits: { operations: 200, abyssDepth: 30, bubbleSize: 6 } };
+        const [interpreted, compiled] = await both(source, options);
+        assert.deepEqual(plain(compiled), plain(interpreted), `${dialect}: ${lines.join('; ')}`);
+    }
+});
@@ -0,0 +1,184 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check debugging sessions, going forward and back in time.
+ *
+ * Run with `npm test`; sessions run a countdown printing 3, 2 and 1,
+ * then failing on its last operation.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { OpcodeError } from '../awa5.js';
+
+/**
+ * The program of the sessions, as mnemonics; token 5 is the `PR1` of
+ * the loop, 17 and 18 the `POP` at the end.
+ */
+const COUNTDOWN = 'BLO 3\nLBL 1\nDPL\nPR1\nBLO 1\nSBM 1\nSUB\nEQZ 2\nJMP 1\nLBL 2\nPOP\nPOP';
+
+/**
+ * Start a session on the countdown.
+ *
+ * @param options the session options
+ * @returns the session and the lines it writes
+ */
+const session = function (options) {
+    const output = [];
+    const awa5 = new AWA5();
+    awa5.setOutputWriter(AWA5.writer({ buffer: output }));
+
+    return { session: awa5.debug(AWA5.assemble(COUNTDOWN), options), output: output };
+};
+
+test('programs start suspended and go one step at a time', async () => {
+    const { session: s, output } = session();
+
+    const start = s.inspect();
+    assert.equal(start.reason, 'start');
+    assert.equal(start.cursor, 0);
+    assert.equal(start.opcode, 'BLO');
+    assert.equal(start.argument, 3);
+    assert.equal(start.executed, 0);
+    assert.deepEqual(start.labels, { 1: 2, 2: 15 });
+    assert.deepEqual(start.abyss, []);
+    assert.ok(Object.isFrozen(start));
+
+    const step = await s.step();
+    assert.equal(step.reason, 'step');
+    assert.equal(step.cursor, 2);
+    assert.equal(step.opcode, 'LBL');
+    assert.equal(step.executed, 1);
+    assert.deepEqual(step.abyss, [3]);
+    assert.deepEqual(s.inspect(), step);
+    assert.deepEqual(output, []);
+});
+
+test('breakpoints stop on tokens, labels and opcodes', async () => {
+    const { session: s, output } = session();
+
+    const opcode = s.addBreakpoint({ opcode: 'PR1' });
+    let stop = await s.continue();
+    assert.equal(stop.reason, 'breakpoint');
+    assert.equal(stop.cursor, 5);
+    assert.deepEqual(stop.abyss, [3, 3]);
+
+    stop = await s.continue();
+    assert.equal(stop.cursor, 5);
+    assert.deepEqual(output, ['3']);
+    s.removeBreakpoint(opcode);
+
+    s.addBreakpoint({ label: 2 });
+    stop = await s.continue();
+    assert.equal(stop.reason, 'breakpoint');
+    assert.equal(stop.cursor, 17);
+    assert.deepEqual(output, ['3', '2', '1']);
+
+    s.addBreakpoint({ index: 18 });
+    stop = await s.continue();
+    assert.equal(stop.cursor, 18);
+
+    assert.throws(() => s.addBreakpoint({ opcode: 'NOPE' }), TypeError);
+    assert.throws(() => s.addBreakpoint({}), TypeError);
+});
+
+test('the end of the program is the last stop', async () => {
+    const { session: s } = session();
+
+    const stop = await s.continue();
+    assert.equal(stop.reason, 'error');
+    assert.equal(stop.cursor, 18);
+    assert.ok(stop.error instanceof OpcodeError);
+    assert.deepEqual(await s.continue(), stop);
+    assert.deepEqual(await s.step(), stop);
+
+    const ended = new AWA5().debug(AWA5.assemble('BLO 1\nBLO 2\n4DD'));
+    const end = await ended.continue();
+    assert.equal(end.reason, 'end');
+    assert.equal(end.value, 3);
+    assert.equal(end.opcode, null);
+});
+
+test('running programs can be paused', async () => {
+    const s = new AWA5({ limits: false }).debug(AWA5.assemble('LBL 1\nBLO 1\nPOP\nJMP 1'), { history: 10 });
+
+    const running = s.continue();
+    assert.throws(() => s.stepBack());
+    assert.throws(() => s.goTo(0));
+    setTimeout(() => s.pause(), 20);
+    const stop = await running;
+    assert.equal(stop.reason, 'pause');
+    assert.ok(stop.executed > 0);
+});
+
+test('sessions go back in time', async () => {
+    const { session: s, output } = session({ history: 100 });
+
+    const failed = await s.continue();
+    assert.equal(failed.reason, 'error');
+
+    // the failing operation is undone first
+    const retry = await s.stepBack();
+    assert.equal(retry.reason, 'back');
+    assert.equal(retry.cursor, 18);
+    assert.equal(retry.executed, 23);
+
+    const back = await s.stepBack();
+    assert.equal(back.cursor, 17);
+    assert.equal(back.executed, 22);
+    assert.deepEqual(back.abyss, [0]);
+
+    const loop = await s.runBackTo(5);
+    assert.equal(loop.cursor, 5);
+    assert.deepEqual(loop.abyss, [1, 1]);
+
+    const early = await s.goTo(2);
+    assert.equal(early.cursor, 4);
+    assert.equal(early.executed, 2);
+    assert.deepEqual(early.abyss, [3]);
+
+    // output is never taken back, but written again
+    const later = await s.goTo(10);
+    assert.equal(later.executed, 10);
+    assert.deepEqual(later.abyss, [2, 2]);
+    assert.deepEqual(output, ['3', '2', '1', '3']);
+
+    assert.throws(() => s.goTo(-1), RangeError);
+});
+
+test('only the latest steps are recorded', async () => {
+    const { session: s } = session({ history: 5 });
+    await s.continue();
+
+    const steps = s.steps();
+    assert.equal(steps.length, 5);
+    assert.deepEqual(steps[4], { cursor: 18, opcode: 'POP', executed: 23 });
+    assert.ok(Object.isFrozen(steps));
+
+    assert.equal((await s.goTo(19)).executed, 19);
+    assert.throws(() => s.goTo(18), RangeError);
+
+    assert.throws(() => new AWA5().debug(AWA5.assemble('NOP'), { history: -1 }), RangeError);
+});
+
+test('sessions without history stay where they are', async () => {
+    const { session: s } = session();
+    const stop = await s.step();
+
+    assert.deepEqual(s.steps(), []);
+    assert.equal((await s.stepBack()).cursor, stop.cursor);
+    assert.equal((await s.runBackTo(0)).cursor, stop.cursor);
+});
@@ -0,0 +1,217 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check the writer backed by DOM nodes.
+ *
+ * Run with `npm test`; Node has no DOM, so the nodes are made by a
+ * small stand-in for `document` holding only what the writer uses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Node of the stand-in document.
+ */
+class Node {
+    /**
+     * @param document the document owning the node
+     * @param name the tag name, or `'#text'` for text nodes
+     * @param value the text of text nodes
+     */
+    constructor(document, name, value) {
+        this.ownerDocument = document;
+        this.nodeName = name.toUpperCase();
+        this.tagName = this.nodeName;
+        this.nodeType = ('#text' === name) ? 3 : 1;
+        this.nodeValue = (undefined === value) ? null : value;
+        this.childNodes = [];
+        this.className = '';
+        this.type = 'text';
+        this.value = '';
+        this.scrollTop = 0;
+    }
+
+    get firstChild() {
+        return (0 === this.childNodes.length) ? null : this.childNodes[0];
+    }
+
+    get scrollHeight() {
+        return 10 * (1 + this.html().split('<br>').length);
+    }
+
+    appendChild(child) {
+        this.childNodes.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.childNodes.splice(this.childNodes.indexOf(child), 1);
+        return child;
+    }
+
+    replaceChildren() {
+        this.childNodes = [];
+    }
+
+    /**
+     * Describe the children as HTML, the way a browser would show them.
+     *
+     * @returns the HTML of the children
+     */
+    html() {
+        return this.childNodes.map((child) => {
+            if (3 === child.nodeType) {
+                return child.nodeValue.replaceAll('&', '&amp;').replaceAll('<', '&lt;');
+            }
+            if ('BR' === child.nodeName) {
+                return '<br>';
+            }
+
+            const name = child.nodeName.toLowerCase();
+            const attributes = ('' === child.className) ? '' : ` class="${child.className}"`;
+            return `<${name}${attributes}>${child.html()}</${name}>`;
+        }).join('');
+    }
+};
+
+/**
+ * Make an element of a new stand-in document.
+ *
+ * @param name the tag name
+ * @returns the element
+ */
+const element = function (name) {
+    const document = {
+        createElement: (tag) => (new Node(document, tag)),
+        createTextNode: (text) => (new Node(document, '#text', text)),
+    };
+
+    return document.createElement(name);
+};
+
+test('text is written as text, never as HTML', () => {
+    const node = element('div');
+    const writer = AWA5.writer({ node: node });
+
+    writer.write('<b>Awa</b>\nawa');
+    writer.write(' & more');
+    assert.equal(node.html(), '&lt;b>Awa&lt;/b><br>awa &amp; more');
+
+    const pre = element('pre');
+    AWA5.writer({ node: pre }).write('Awa\nawa');
+    assert.equal(pre.html(), 'Awa\nawa');
+});
+
+test('unsupported nodes and options are refused', () => {
+    assert.throws(() => AWA5.writer({ node: element('img') }), TypeError);
+    assert.throws(() => AWA5.writer({ node: element('div'), scrollback: 0 }), RangeError);
+    assert.throws(() => AWA5.writer({ node: element('div'), errorClass: 1 }), TypeError);
+});
+
+test('errors are written apart, with their class', () => {
+    const node = element('div');
+    const writer = AWA5.writer({ node: node, errorClass: 'awa5-error' });
+
+    writer.write('Awa\n');
+    writer.error('oops\nagain');
+    assert.equal(node.html(), 'Awa<br><span class="awa5-error">oops<br>again</span>');
+});
+
+test('failing runs write their error', async () => {
+    const node = element('div');
+    const awa5 = new AWA5();
+    awa5.setOutputWriter(AWA5.writer({ node: node, errorClass: 'awa5-error' }));
+
+    const result = await awa5.run(AWA5.assemble('BLO 1\nPR1\nPOP\nPOP'));
+    assert.equal(result.status, 'error');
+    assert.equal(node.html(), `1<span class="awa5-error">${result.error.message.replaceAll('<', '&lt;').replaceAll('\n', '<br>')}</span>`);
+
+    // compiled programs do the same
+    const compiled = element('div');
+    const program = AWA5.compile(AWA5.assemble('BLO 1\nPR1\nPOP\nPOP'));
+    await program(undefined, AWA5.writer({ node: compiled, errorClass: 'awa5-error' }));
+    assert.equal(compiled.html(), node.html());
+
+    // successful runs write nothing more
+    const quiet = element('div');
+    awa5.setOutputWriter(AWA5.writer({ node: quiet, errorClass: 'awa5-error' }));
+    assert.equal((await awa5.run(AWA5.assemble('BLO 1\nPR1'))).status, 'ok');
+    assert.equal(quiet.html(), '1');
+});
+
+test('scrollback drops the oldest lines, one at a time', () => {
+    const node = element('div');
+    const writer = AWA5.writer({ node: node, scrollback: 3, errorClass: 'e' });
+
+    writer.write('1\n2\n');
+    writer.error('3\n4\n5');
+    assert.equal(node.html(), '<span class="e">3<br>4<br>5</span>');
+
+    writer.write('\n6');
+    assert.equal(node.html(), '<span class="e">4<br>5</span><br>6');
+
+    writer.write('\n7');
+    assert.equal(node.html(), '<span class="e">5</span><br>6<br>7');
+
+    writer.write('\n8');
+    assert.equal(node.html(), '6<br>7<br>8');
+});
+
+test('scrollback works in preformatted nodes and fields', () => {
+    const pre = element('pre');
+    const writer = AWA5.writer({ node: pre, scrollback: 2, errorClass: 'e' });
+    writer.write('1\n2');
+    writer.error('3\n4');
+    assert.equal(pre.html(), '2<span class="e">3\n4</span>');
+
+    const field = element('textarea');
+    AWA5.writer({ node: field, scrollback: 2 }).write('1\n2\n3');
+    assert.equal(field.value, '2\n3');
+});
+
+test('scroll keeps the node at the bottom', () => {
+    const node = element('div');
+    const writer = AWA5.writer({ node: node, scroll: true });
+
+    writer.write('Awa\nawa\nawa');
+    assert.equal(node.scrollTop, node.scrollHeight);
+
+    const still = element('div');
+    AWA5.writer({ node: still }).write('Awa\nawa');
+    assert.equal(still.scrollTop, 0);
+});
+
+test('clear removes everything, then writing goes on', () => {
+    const node = element('div');
+    const writer = AWA5.writer({ node: node, scrollback: 2 });
+
+    writer.write('1\n2\n3');
+    writer.clear();
+    assert.equal(node.html(), '');
+
+    writer.write('4\n5');
+    assert.equal(node.html(), '4<br>5');
+
+    const field = element('input');
+    const line = AWA5.writer({ node: field });
+    line.write('Awa');
+    line.clear();
+    line.write('awa');
+    assert.equal(field.value, 'awa');
+});
@@ -0,0 +1,207 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check the execution limits of programs.
+ *
+ * Run with `npm test`; every limit is checked with the interpreter,
+ * the compiled function and, where it applies, the WebAssembly module.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Run a program in every way available.
+ *
+ * @param mnemonics the program, as mnemonics
+ * @param options the options of the interpreter and of the compilers
+ * @param reader a function making the input reader, if any
+ * @param writer a function making the output writer, if any
+ * @returns the results of the interpreter, of the compiled function
+ *   and of the WebAssembly module, if the program can be compiled to it
+ */
+const everywhere = async function (mnemonics, options, reader, writer) {
+    const source = AWA5.assemble(mnemonics);
+    const make = (f) => ((undefined === f) ? undefined : f());
+
+    const awa5 = new AWA5(options);
+    if (undefined !== reader) {
+        awa5.setInputReader(reader());
+    }
+    if (undefined !== writer) {
+        awa5.setOutputWriter(writer());
+    }
+    const results = [await awa5.run(source)];
+
+    results.push(await AWA5.compile(source, options)(make(reader), make(writer)));
+
+    let wasm = null;
+    try {
+        wasm = await AWA5.compileToWasm(source, options);
+    } catch {
+        return results;
+    }
+    results.push(await wasm(make(reader), make(writer)));
+
+    return results;
+};
+
+test('the time limit stops programs waiting for input', async () => {
+    const aborted = [];
+    const reader = () => ({
+        read: (signal) => (new Promise(() => {
+            signal.addEventListener('abort', () => { aborted.push(signal.reason); });
+        })),
+        reset: () => {},
+    });
+
+    const started = Date.now();
+    const results = await everywhere('BLO 1\nR3D', { limits: { wallClockMs: 50 } }, reader);
+    assert.ok(Date.now() - started < 1000);
+
+    assert.equal(results.length, 3);
+    for (let result of results) {
+        assert.equal(result.status, 'error');
+        assert.equal(result.error.name, 'LimitError');
+        assert.equal(result.error.limit, 'wallClockMs');
+        assert.equal(result.error.cursor, 2);
+    }
+
+    // readers are told to stop through their signal
+    assert.equal(aborted.length, 3);
+    for (let reason of aborted) {
+        assert.equal(reason.limit, 'wallClockMs');
+    }
+});
+
+test('the time limit stops programs waiting for a full writer', async () => {
+    const writer = () => ({
+        write: () => (new Promise(() => {})),
+    });
+
+    const started = Date.now();
+    const results = await everywhere('BLO 1\nPR1\nBLO 2', { limits: { wallClockMs: 50 } }, undefined, writer);
+    assert.ok(Date.now() - started < 1000);
+
+    assert.equal(results.length, 3);
+    for (let result of results) {
+        assert.equal(result.status, 'error');
+        assert.equal(result.error.limit, 'wallClockMs');
+        assert.equal(result.error.cursor, 2);
+    }
+});
+
+test('the time limit leaves quick input alone', async () => {
+    const reader = () => (AWA5.reader({ buffer: ['4'] }));
+
+    const results = await everywhere('R3D\nPR1', { limits: { wallClockMs: 1000 } }, reader, () => (AWA5.writer({ buffer: [] })));
+    for (let result of results) {
+        assert.equal(result.status, 'ok');
+    }
+});
+
+/**
+ * Make a program counting down, padded to execute exactly the given
+ * number of operations.
+ *
+ * @param operations how many operations to execute
+ * @returns the program, as mnemonics
+ */
+const countdown = async function (operations) {
+    // count from n = 255 * q + r down to zero
+    const loop = (n) => (`BLO 255\nBLO ${Math.floor(n / 255)}\nMUL\nBLO ${n % 255}\n4DD\n`
+        + 'LBL 1\nBLO 1\nSBM 1\nSUB\nDPL\nEQZ 2\nJMP 1\nLBL 2');
+    const executed = async (n) => ((await new AWA5({ limits: false }).run(AWA5.assemble(loop(n)))).operationsExecuted);
+
+    const base = await executed(1);
+    const round = await executed(2) - base;
+    const n = 1 + Math.floor((operations - base) / round);
+
+    return 'NOP\n'.repeat(operations - await executed(n)) + loop(n);
+};
+
+test('programs are stopped by default on their 10000th operation', async () => {
+    const fits = await everywhere(await countdown(9999), undefined);
+    for (let result of fits) {
+        assert.equal(result.status, 'ok');
+        assert.equal(result.operationsExecuted, 9999);
+    }
+
+    const stopped = await everywhere(await countdown(10000), undefined);
+    for (let result of stopped) {
+        assert.equal(result.status, 'error');
+        assert.equal(result.error.name, 'LimitError');
+        assert.equal(result.error.limit, 'operations');
+        assert.equal(result.operationsExecuted, 10000);
+    }
+});
+
+test('every limit can be set', async () => {
+    const cases = [
+        ['BLO 1\nBLO 2\nBLO 3', { operations: 3 }, 'operations'],
+        ['BLO 1\nBLO 2\nBLO 3', { abyssDepth: 2 }, 'abyssDepth'],
+        ['BLO 1\nBLO 2\nBLO 3\nSRN 3', { bubbleSize: 2 }, 'bubbleSize'],
+    ];
+
+    for (let [mnemonics, limits, limit] of cases) {
+        for (let result of await everywhere(mnemonics, { limits: limits })) {
+            // the WebAssembly module holds no double bubbles
+            assert.equal(result.status, 'error', mnemonics);
+            assert.equal(result.error.limit, limit);
+            assert.match(result.error.message, /\(limit 2|3\)/);
+        }
+    }
+
+    const fits = await everywhere('BLO 1\nBLO 2\nSRN 2', { limits: { operations: 4, abyssDepth: 2, bubbleSize: 2 } });
+    for (let result of fits) {
+        assert.equal(result.status, 'ok');
+    }
+});
+
+test('the time limit stops endless loops', async () => {
+    for (let result of await everywhere('LBL 1\nJMP 1', { limits: { operations: Infinity, wallClockMs: 50 } })) {
+        assert.equal(result.status, 'error');
+        assert.equal(result.error.limit, 'wallClockMs');
+    }
+});
+
+test('limits can be turned off', async () => {
+    const many = await countdown(20000);
+
+    for (let limits of [false, { operations: false }, { operations: Infinity }]) {
+        for (let result of await everywhere(many, { limits: limits })) {
+            assert.equal(result.status, 'ok');
+            assert.equal(result.operationsExecuted, 20000);
+        }
+    }
+
+    const off = new AWA5({ limits: false });
+    assert.deepEqual(off.limits, {
+        operations: Infinity,
+        abyssDepth: Infinity,
+        bubbleSize: Infinity,
+        wallClockMs: Infinity,
+    });
+});
+
+test('invalid limits are refused', () => {
+    assert.throws(() => new AWA5({ limits: { foo: 1 } }), /unknown limit 'foo'/);
+    assert.throws(() => new AWA5({ limits: { operations: -1 } }), /invalid value for limit 'operations'/);
+    assert.throws(() => new AWA5({ limits: { abyssDepth: 'deep' } }), RangeError);
+    assert.throws(() => AWA5.compile('awa', { limits: { bubbleSize: -2 } }), RangeError);
+});
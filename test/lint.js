@@ -0,0 +1,90 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check the linter.
+ *
+ * Run with `npm test`; programs are written as mnemonics, except
+ * those the assembler would refuse.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Lint a program written as mnemonics.
+ *
+ * @param mnemonics the program
+ * @param options the options of the assembler and of the linter
+ * @returns the severity and the message of each diagnostic
+ */
+const lint = function (mnemonics, options) {
+    return AWA5.lint(AWA5.assemble(mnemonics, options), options).map((d) => (`${d.severity} ${d.message}`));
+};
+
+test('correct programs give no diagnostics', () => {
+    assert.deepEqual(lint('BLO 1\nPR1'), []);
+    assert.deepEqual(lint('BLO 3\nLBL 1\nDPL\nPR1\nBLO 1\nSBM 1\nSUB\nEQZ 2\nJMP 1\nLBL 2'), []);
+    assert.deepEqual(lint('RED\nPOP\nPOP'), []);
+});
+
+test('running out of bubbles on every path is an error', () => {
+    assert.deepEqual(lint('PRN'), ['error (PRN) not enough bubbles, needs 1 but at most 0 available']);
+    assert.deepEqual(lint('BLO 1\nPR1\nPR1'), ['error (PR1) not enough bubbles, needs 1 but at most 0 available']);
+    assert.deepEqual(lint('BLO 1\nMRG'), ['error (MRG) not enough bubbles, needs 2 but at most 1 available']);
+    assert.deepEqual(lint('SBM 1'), ['error (SBM) not enough bubbles, needs 1 but at most 0 available']);
+
+    // only one of the paths runs out of bubbles
+    assert.deepEqual(lint('BLO 1\nBLO 2\nEQL\nPR1\nPR1\nPR1', { dialect: 'original' }), []);
+});
+
+test('invalid opcodes and missing arguments are errors', () => {
+    // opcode 22 does not exist
+    assert.deepEqual(AWA5.lint('awawa awawawa awa').map((d) => (d.message)), ['(22) invalid opcode']);
+
+    // EQZ without its label
+    const missing = AWA5.lint('awa awawa awawa awawa awawa awawa');
+    assert.ok(missing.some((d) => ('error' === d.severity && '(EQZ) not enough arguments' === d.message)));
+});
+
+test('doubtful labels and dead code are warnings', () => {
+    assert.deepEqual(lint('JMP 3'), ['warning (JMP) label 3 is never defined, the jump is ignored']);
+    assert.deepEqual(lint('BLO 1\nBLO 1\nEQL 4'), ['warning (EQL) label 4 is never defined, the jump is ignored']);
+    assert.deepEqual(lint('TRM\nBLO 1'), ['warning (BLO) unreachable code']);
+    assert.deepEqual(lint('JMP 1\nBLO 1\nLBL 1'), ['warning (BLO) unreachable code']);
+
+    const twice = lint('LBL 1\nLBL 1\nBLO 1');
+    assert.equal(twice.length, 1);
+    assert.match(twice[0], /^warning \(LBL\) label 1 is defined again at line 1, column \d+, jumps will go there$/);
+});
+
+test('diagnostics tell where they are', () => {
+    const [diagnostic] = AWA5.lint(AWA5.assemble('BLO 1\nPR1\nPR1'));
+
+    const tokens = AWA5.parse(AWA5.assemble('BLO 1\nPR1\nPR1'));
+    assert.equal(diagnostic.index, 3);
+    assert.equal(diagnostic.line, tokens[3].line);
+    assert.equal(diagnostic.column, tokens[3].column);
+});
+
+test('malformed code is a diagnostic too', () => {
+    const diagnostics = AWA5.lint('nope');
+
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].severity, 'error');
+    assert.equal(diagnostics[0].index, null);
+});
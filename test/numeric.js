@@ -0,0 +1,100 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check the numeric modes of bubbles.
+ *
+ * Run with `npm test`; every program is run in each mode by the
+ * interpreter and by the function of `AWA5.compile`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { OpcodeError } from '../awa5.js';
+
+/**
+ * Run a program both ways, checking that they agree.
+ *
+ * @param mnemonics the program, as mnemonics
+ * @param numeric the numeric mode
+ * @param input the lines to read
+ * @returns the result of the interpreter
+ */
+const both = async function (mnemonics, numeric, input) {
+    const source = AWA5.assemble(mnemonics);
+
+    const awa5 = new AWA5({ numeric: numeric });
+    awa5.setInputReader(AWA5.reader({ buffer: (undefined === input) ? [] : input }));
+    const interpreted = await awa5.run(source);
+
+    const program = AWA5.compile(source, { numeric: numeric });
+    const compiled = await program(AWA5.reader({ buffer: (undefined === input) ? [] : input }));
+
+    assert.deepEqual(compiled.finalAbyss, interpreted.finalAbyss, `${numeric}: ${mnemonics}`);
+    assert.equal(compiled.status, interpreted.status);
+    if (null !== interpreted.error) {
+        assert.equal(compiled.error.message, interpreted.error.message);
+        assert.equal(compiled.error.cursor, interpreted.error.cursor);
+    }
+    return interpreted;
+};
+
+test('plain numbers are the default', async () => {
+    const result = await new AWA5().run(AWA5.assemble('BLO 100\nBLO 100\nMUL\nBLO 3\nMUL'));
+    assert.equal(result.value, 30000);
+    assert.equal((await both('R3D\nR3D\nMUL', 'number', ['3000000000', '3000000000'])).value, 9e18);
+});
+
+test('bigints are exact', async () => {
+    const result = await both('R3D\nR3D\nMUL', 'bigint', ['3000000000', '3000000001']);
+    assert.equal(result.value, 9000000003000000000n);
+    assert.deepEqual((await both('BLO 1\nBLO 2\nCNT', 'bigint')).finalAbyss, [1n, 2n, 0n]);
+});
+
+test('integers wrap around', async () => {
+    assert.equal((await both('BLO 100\nBLO 100\n4DD', 'int8')).value, -56);
+    assert.equal((await both('BLO 100\nBLO 100\n4DD', 'int32')).value, 200);
+    assert.equal((await both('R3D\nR3D\nMUL', 'int8', ['16', '16'])).value, 0);
+    assert.equal((await both('R3D\nR3D\nMUL', 'int32', ['3000000000', '1'])).value, -1294967296);
+    assert.equal((await both('R3D', 'int32', ['2147483648'])).value, -2147483648);
+});
+
+test('division truncates toward zero in every mode', async () => {
+    for (let numeric of ['number', 'int32', 'int8']) {
+        const result = await both('BLO 2\nBLO 7\nBLO 0\nSUB\nDIV', numeric);
+        assert.deepEqual(result.finalAbyss, [[-1, -3]], numeric);
+    }
+    const result = await both('BLO 2\nBLO 7\nBLO 0\nSUB\nDIV', 'bigint');
+    assert.deepEqual(result.finalAbyss, [[-1n, -3n]]);
+});
+
+test('only integers fail when divided by zero', async () => {
+    const division = 'BLO 0\nBLO 7\nDIV';
+    assert.deepEqual((await both(division, 'number')).finalAbyss, [[NaN, Infinity]]);
+
+    for (let numeric of ['bigint', 'int32', 'int8']) {
+        const result = await both(division, numeric);
+        assert.equal(result.status, 'error');
+        assert.ok(result.error instanceof OpcodeError);
+        assert.match(result.error.message, /division by zero/);
+    }
+});
+
+test('unknown numeric modes are refused', () => {
+    for (let numeric of ['int16', 'float', 42]) {
+        assert.throws(() => new AWA5({ numeric: numeric }), RangeError);
+        assert.throws(() => AWA5.compile(AWA5.assemble('BLO 1'), { numeric: numeric }), RangeError);
+    }
+});
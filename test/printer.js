@@ -0,0 +1,79 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check the programs generated to print a text.
+ *
+ * Run with `npm test`; every generated program is run again, to
+ * compare its output with the text.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Generate a printer and run it.
+ *
+ * @param text the text to print
+ * @param options the options of the generator and of the interpreter
+ * @returns the source, as mnemonics, and the printed text
+ */
+const print = async function (text, options) {
+    const source = await AWA5.generatePrinter(text, options);
+
+    const output = [];
+    const awa5 = new AWA5(Object.assign({ limits: false }, options));
+    awa5.setOutputWriter(AWA5.writer({ buffer: output }));
+    const result = await awa5.run(source);
+    assert.equal(result.status, 'ok');
+
+    return { mnemonics: AWA5.disassemble(source, options), output: output.join('') };
+};
+
+test('printers print exactly the text', async () => {
+    for (let text of ['Hello World!', 'A', '', 'awa\nawa', '0123456789 .,!\'()~_/;']) {
+        const printed = await print(text);
+        assert.equal(printed.output, text);
+    }
+});
+
+test('repeated characters are duplicated', async () => {
+    const printed = await print('Waaaaaaaa');
+    assert.match(printed.mnemonics, /DPL/);
+    assert.ok(printed.mnemonics.split('\n').filter((l) => (l.startsWith('BLO'))).length < 5);
+});
+
+test('long texts are printed', async () => {
+    const text = 'Awa awa! '.repeat(200);
+    const printed = await print(text);
+    assert.equal(printed.output, text);
+});
+
+test('characters outside the set are refused', async () => {
+    await assert.rejects(AWA5.generatePrinter('Hello?'), RangeError);
+    await assert.rejects(AWA5.generatePrinter('Hello', { dialect: 'klingon' }), RangeError);
+});
+
+test('dialects and charsets are followed', async () => {
+    const extended = await print('Hello? {x}', { charset: 'extended' });
+    assert.equal(extended.output, 'Hello? {x}');
+
+    const binary = await print('1001101', { charset: AWA5.charset('01') });
+    assert.equal(binary.output, '1001101');
+
+    const original = await print('Awa awa', { dialect: 'original' });
+    assert.equal(original.output, 'Awa awa');
+});
@@ -0,0 +1,121 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check the results of runs and the errors they carry.
+ *
+ * Run with `npm test`; results of the interpreter are compared with
+ * the ones coming back from a worker, where errors are flattened into
+ * messages and revived.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { RunResult, OpcodeError, LimitError } from '../awa5.js';
+
+/**
+ * Describe an error with its own properties, along with its type.
+ *
+ * @param e the error
+ * @returns an object to compare
+ */
+const plain = function (e) {
+    return {
+        type: Object.getPrototypeOf(e).constructor,
+        name: e.name,
+        message: e.message,
+        cursor: e.cursor,
+        opcode: e.opcode,
+        limit: e.limit,
+        line: e.line,
+        column: e.column,
+    };
+};
+
+test('runs give a result', async () => {
+    const output = [];
+    const awa5 = new AWA5().setOutputWriter(AWA5.writer({ buffer: output }));
+
+    const ok = await awa5.run(AWA5.assemble('BLO 1\nBLO 2\nDPL\nPR1'));
+    assert.ok(ok instanceof RunResult);
+    assert.deepEqual({ ...ok }, {
+        status: 'ok',
+        value: 2,
+        operationsExecuted: 4,
+        finalAbyss: [1, 2],
+        error: null,
+    });
+
+    const empty = await awa5.run(AWA5.assemble('NOP'));
+    assert.equal(empty.value, 0);
+    assert.deepEqual(empty.finalAbyss, []);
+    assert.deepEqual(output, ['2']);
+});
+
+test('errors are given in the result, never written', async () => {
+    const output = [];
+    const awa5 = new AWA5().setOutputWriter(AWA5.writer({ buffer: output }));
+
+    const failed = await awa5.run(AWA5.assemble('BLO 1\nPR1\nPOP'));
+    assert.equal(failed.status, 'error');
+    assert.equal(failed.value, null);
+    assert.equal(failed.operationsExecuted, 2);
+    assert.deepEqual(failed.finalAbyss, []);
+    assert.ok(failed.error instanceof OpcodeError);
+    assert.equal(failed.error.opcode, 7);
+    assert.equal(failed.error.line, 1);
+    assert.deepEqual(output, ['1']);
+
+    const malformed = await awa5.run('awa wawawa');
+    assert.equal(malformed.status, 'error');
+    assert.ok(malformed.error instanceof SyntaxError);
+    assert.equal(malformed.operationsExecuted, 0);
+    assert.deepEqual(output, ['1']);
+});
+
+test('results come back from workers as they are', async () => {
+    const programs = [
+        ['BLO 1\nBLO 2\nSRN 2\nDPL\nBLO 0\nSUB', {}],
+        ['BLO 1\nPR1\nPOP', {}],
+        ['LBL 1\nBLO 1\nJMP 1', { limits: { abyssDepth: 5 } }],
+        ['LBL 1\nJMP 1', { limits: { operations: 20 } }],
+        ['BLO 0\nBLO 7\nDIV', { numeric: 'int32' }],
+    ];
+
+    for (let [mnemonics, options] of programs) {
+        const source = AWA5.assemble(mnemonics);
+        const interpreted = await new AWA5(options).run(source);
+        const revived = await AWA5.runInWorker(source, options);
+
+        assert.ok(revived instanceof RunResult);
+        assert.equal(revived.status, interpreted.status, mnemonics);
+        assert.deepEqual(revived.value, interpreted.value);
+        assert.equal(revived.operationsExecuted, interpreted.operationsExecuted);
+        assert.deepEqual(revived.finalAbyss, interpreted.finalAbyss);
+        if (null === interpreted.error) {
+            assert.equal(revived.error, null);
+        } else {
+            assert.deepEqual(plain(revived.error), plain(interpreted.error));
+        }
+    }
+
+    const malformed = await AWA5.runInWorker('awa wawawa');
+    assert.ok(malformed.error instanceof SyntaxError);
+    assert.deepEqual(plain(malformed.error), plain((await new AWA5().run('awa wawawa')).error));
+
+    const limited = await AWA5.runInWorker(AWA5.assemble('LBL 1\nJMP 1'), { limits: { operations: 20 } });
+    assert.ok(limited.error instanceof LimitError);
+    assert.ok(limited.error instanceof Error);
+});
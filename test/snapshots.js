@@ -0,0 +1,135 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check that snapshots save and restore running programs.
+ *
+ * Run with `npm test`; programs are paused halfway, captured, then
+ * both the original and the restored run go on to the end.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+/**
+ * Run a program, capturing it once the given number of operations
+ * were executed.
+ *
+ * @param mnemonics the program, as mnemonics
+ * @param executed the operations executed before the capture
+ * @param options the options of the interpreter
+ * @param input the lines to read
+ * @returns the snapshot, the result and the output of the program,
+ *   along with the output written after the capture
+ */
+const capture = async function (mnemonics, executed, options, input) {
+    let captured = null;
+    const reached = new Promise((resolve) => {
+        captured = resolve;
+    });
+
+    const output = [];
+    const awa5 = new AWA5(Object.assign({}, options, {
+        onStep: (step) => {
+            if ('after' === step.phase && executed === step.executed) {
+                awa5.pause();
+                captured();
+            }
+        },
+    }));
+    awa5.setInputReader(AWA5.reader({ buffer: input })).setOutputWriter(AWA5.writer({ buffer: output }));
+
+    const running = awa5.run(AWA5.assemble(mnemonics));
+    await reached;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const snapshot = awa5.snapshot();
+    const written = output.length;
+    awa5.resume();
+
+    const result = await running;
+    return { snapshot: snapshot, result: result, output: output, rest: output.slice(written) };
+};
+
+/**
+ * A countdown reading its start and its last addend, with nested
+ * double bubbles below.
+ */
+const COUNTDOWN = 'BLO 1\nBLO 2\nSRN 2\nBLO 3\nSRN 2\nR3D\nLBL 1\nDPL\nPR1\nBLO 1\nSBM 1\nSUB\nEQZ 2\nJMP 1\nLBL 2\nPOP\nR3D\n4DD\nPR1';
+
+test('restored programs go on where they were captured', async () => {
+    for (let executed of [1, 6, 12, 25]) {
+        const original = await capture(COUNTDOWN, executed, {}, ['3', '8']);
+        assert.equal(original.result.status, 'ok');
+
+        const output = [];
+        const restored = AWA5.restore(original.snapshot);
+        restored.setOutputWriter(AWA5.writer({ buffer: output }));
+        const result = await restored.run();
+
+        assert.deepEqual(result, original.result);
+        assert.deepEqual(output, original.rest);
+    }
+});
+
+test('snapshots keep the options', async () => {
+    const options = {
+        dialect: 'awa5js',
+        numeric: 'int8',
+        charset: 'extended',
+        limits: { operations: 1000, abyssDepth: false },
+    };
+    const original = await capture('BLO 100\nBLO 100\nBLO 100\n4DD\n4DD\nDPL\nPR1\nPRN', 3, options, []);
+
+    const saved = JSON.parse(original.snapshot);
+    assert.equal(saved.numeric, 'int8');
+    assert.equal(saved.limits.abyssDepth, false);
+
+    const restored = AWA5.restore(saved);
+    assert.equal(restored.numeric, 'int8');
+    assert.equal(restored.limits.operations, 1000);
+    assert.equal(restored.limits.abyssDepth, Infinity);
+    assert.deepEqual(restored.charset.table, AWA5.charset('extended').table);
+
+    const output = [];
+    restored.setOutputWriter(AWA5.writer({ buffer: output }));
+    assert.deepEqual(await restored.run(), original.result);
+    assert.deepEqual(output, original.rest);
+});
+
+test('restored programs can be captured again', async () => {
+    const original = await capture(COUNTDOWN, 6, {}, ['3', '8']);
+    const restored = AWA5.restore(original.snapshot);
+
+    assert.equal(restored.snapshot(), original.snapshot);
+});
+
+test('only single programs can be captured', async () => {
+    const awa5 = new AWA5({ limits: false });
+    assert.throws(() => awa5.snapshot(), /no program/);
+
+    awa5.pause();
+    const runs = [awa5.run(AWA5.assemble('BLO 1')), awa5.run(AWA5.assemble('BLO 2'))];
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.throws(() => awa5.snapshot(), /too many programs/);
+    awa5.resume();
+    await Promise.all(runs);
+});
+
+test('invalid snapshots are refused', () => {
+    assert.throws(() => AWA5.restore('nope'), SyntaxError);
+    assert.throws(() => AWA5.restore('{}'), TypeError);
+    assert.throws(() => AWA5.restore(null), TypeError);
+});
@@ -0,0 +1,116 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check that running programs can be aborted, paused and resumed.
+ *
+ * Run with `npm test`; endless programs are run without limits and
+ * stopped from the outside.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { AbortError, LimitError } from '../awa5.js';
+
+/**
+ * An endless loop, as mnemonics.
+ */
+const ENDLESS = 'LBL 1\nBLO 1\nPOP\nJMP 1';
+
+test('aborted programs stop before their next operation', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    await assert.rejects(new AWA5({ limits: false }).run(AWA5.assemble(ENDLESS), { signal: controller.signal }), (e) => {
+        assert.ok(e instanceof AbortError);
+        assert.equal(e.name, 'AbortError');
+        assert.ok(Number.isInteger(e.cursor));
+        assert.equal(e.line, 1);
+        assert.ok(e.column > 0);
+        return true;
+    });
+});
+
+test('programs aborted beforehand do not start', async () => {
+    await assert.rejects(new AWA5().run(AWA5.assemble('BLO 1'), { signal: AbortSignal.abort() }), (e) => {
+        assert.ok(e instanceof AbortError);
+        assert.equal(e.cursor, 0);
+        return true;
+    });
+});
+
+test('programs waiting for input are aborted right away', async () => {
+    let signal = null;
+    const reader = {
+        read: (s) => {
+            signal = s;
+            return new Promise(() => {});
+        },
+        reset: () => {},
+    };
+
+    const reason = new Error('bye');
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(reason), 20);
+
+    const awa5 = new AWA5().setInputReader(reader);
+    await assert.rejects(awa5.run(AWA5.assemble('BLO 1\nRED'), { signal: controller.signal }), (e) => {
+        assert.ok(e instanceof AbortError);
+        assert.equal(e.cursor, 2);
+        assert.equal(e.cause, reason);
+        return true;
+    });
+    assert.equal(signal.aborted, true);
+});
+
+test('paused programs wait to be resumed', async () => {
+    const awa5 = new AWA5({ limits: { wallClockMs: 100 } });
+    let executed = 0;
+    awa5.addEventListener('awa5:step', (e) => {
+        executed = e.detail.executed;
+    });
+
+    awa5.pause();
+    const running = awa5.run(AWA5.assemble('BLO 1\nBLO 2\n4DD'));
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.equal(executed, 0);
+
+    // time spent paused does not count against the limit
+    awa5.resume();
+    const result = await running;
+    assert.equal(result.status, 'ok');
+    assert.equal(result.value, 3);
+});
+
+test('running programs can be paused', async () => {
+    const awa5 = new AWA5({ limits: { operations: false, wallClockMs: 300 } });
+    let executed = 0;
+    awa5.addEventListener('awa5:step', (e) => {
+        executed = e.detail.executed;
+    });
+
+    const running = awa5.run(AWA5.assemble(ENDLESS));
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    awa5.pause();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const paused = executed;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(executed, paused);
+
+    awa5.resume();
+    const result = await running;
+    assert.ok(result.error instanceof LimitError);
+    assert.ok(result.operationsExecuted > paused);
+});
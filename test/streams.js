@@ -0,0 +1,152 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Check the readers and writers backed by Node streams.
+ *
+ * Run with `npm test`; streams are kept in memory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough, Readable, Writable } from 'node:stream';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import AWA5 from '../awa5.js';
+
+test('lines are split across chunks and carriage returns', async () => {
+    const stream = new PassThrough();
+    const reader = AWA5.reader({ stream: stream });
+
+    stream.write('Aw');
+    stream.write('a\r');
+    stream.write('\nwa\nawa');
+    stream.end();
+
+    assert.equal(await reader.read(), 'Awa');
+    assert.equal(await reader.read(), 'wa');
+    assert.equal(await reader.read(), 'awa');
+});
+
+test('the end of the stream gives empty lines', async () => {
+    const stream = new PassThrough();
+    const reader = AWA5.reader({ stream: stream });
+
+    stream.end('Awa\n');
+
+    assert.equal(await reader.read(), 'Awa');
+    assert.equal(await reader.read(), '');
+    assert.equal(await reader.read(), '');
+});
+
+test('programs wait for lines between reads', async () => {
+    const stream = new PassThrough();
+    const output = [];
+    const awa5 = new AWA5();
+    awa5.setInputReader(AWA5.reader({ stream: stream })).setOutputWriter(AWA5.writer({ buffer: output }));
+
+    let finished = false;
+    const run = awa5.run(AWA5.assemble('R3D\nPR1\nR3D\nPR1')).then((result) => {
+        finished = true;
+        return result;
+    });
+
+    await sleep(20);
+    assert.deepEqual(output, []);
+    assert.equal(finished, false);
+
+    stream.write('3\n');
+    await sleep(20);
+    assert.deepEqual(output, ['3']);
+    assert.equal(finished, false);
+
+    stream.write('4\n');
+    const result = await run;
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(output, ['3', '4']);
+});
+
+test('programs read zero once the stream ends', async () => {
+    const stream = new PassThrough();
+    const awa5 = new AWA5();
+    awa5.setInputReader(AWA5.reader({ stream: stream }));
+
+    stream.end();
+    const result = await awa5.run(AWA5.assemble('R3D'));
+    assert.equal(result.status, 'ok');
+    assert.equal(result.value, 0);
+});
+
+test('a failing stream gives an error result', async () => {
+    const stream = new Readable({
+        read() {
+            this.destroy(new Error('boom'));
+        },
+    });
+    const awa5 = new AWA5();
+    awa5.setInputReader(AWA5.reader({ stream: stream }));
+
+    const result = await awa5.run(AWA5.assemble('RED'));
+    assert.equal(result.status, 'error');
+    assert.match(result.error.message, /boom/);
+    assert.equal(result.error.cursor, 0);
+});
+
+test('writers wait for full streams to drain', async () => {
+    const chunks = [];
+    const stream = new Writable({
+        highWaterMark: 4,
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            setTimeout(callback, 1);
+        },
+    });
+    const writer = AWA5.writer({ stream: stream });
+
+    assert.equal(writer.write('Aw'), writer);
+    const full = writer.write('awawa');
+    assert.ok(full instanceof Promise);
+    assert.equal(await full, writer);
+    assert.equal(stream.writableLength, 0);
+
+    await new Promise((resolve) => stream.end(resolve));
+    assert.deepEqual(chunks, ['Aw', 'awawa']);
+});
+
+test('programs never overfill streams', async () => {
+    const chunks = [];
+    let buffered = 0;
+    const stream = new Writable({
+        highWaterMark: 8,
+        write(chunk, encoding, callback) {
+            buffered = Math.max(buffered, this.writableLength);
+            chunks.push(chunk.toString());
+            setImmediate(callback);
+        },
+    });
+    const awa5 = new AWA5();
+    awa5.setOutputWriter(AWA5.writer({ stream: stream }));
+
+    const result = await awa5.run(AWA5.assemble('BLO 100\nLBL 1\nDPL\nPR1\nBLO 1\nSBM 1\nSUB\nEQZ 2\nJMP 1\nLBL 2'));
+    assert.equal(result.status, 'ok');
+
+    // one line over the mark at most, as the program waits right after
+    assert.ok(buffered <= 8 + 3, `buffered ${buffered}`);
+
+    // everything is delivered once the stream ends
+    await new Promise((resolve) => stream.end(resolve));
+    assert.equal(chunks.length, 100);
+    assert.equal(chunks[0], '100');
+    assert.equal(chunks[99], '1');
+});
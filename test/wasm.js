@@ -0,0 +1,175 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check programs compiled to WebAssembly.
+ *
+ * Run with `npm test`; modules are compared with the interpreter
+ * where they can be.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5 from '../awa5.js';
+
+test('full writers are waited for before reading and at the end', async () => {
+    const events = [];
+    let pending = null;
+    const writer = {
+        write: (line) => {
+            events.push(`write ${line}`);
+            pending = new Promise((resolve) => {
+                setTimeout(() => {
+                    events.push(`drained ${line}`);
+                    resolve();
+                }, 10);
+            });
+            return pending;
+        },
+    };
+    const reader = {
+        read: async () => {
+            events.push('read');
+            return '5';
+        },
+        reset: () => {},
+    };
+
+    const program = await AWA5.compileToWasm(AWA5.assemble('BLO 1\nPR1\nBLO 2\nPR1\nR3D\nPR1'));
+    const result = await program(reader, writer);
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(events, ['write 1', 'write 2', 'drained 1', 'drained 2', 'read', 'write 5', 'drained 5']);
+});
+
+test('writers failing to drain give an error result', async () => {
+    const writer = {
+        write: () => (Promise.reject(new Error('closed'))),
+    };
+
+    const program = await AWA5.compileToWasm(AWA5.assemble('BLO 1\nPR1\nBLO 2\nPR1\nBLO 3'));
+    const result = await program(undefined, writer);
+    assert.equal(result.status, 'error');
+    assert.equal(result.error.name, 'OpcodeError');
+    assert.match(result.error.message, /closed/);
+    assert.equal(result.error.cursor, 5);
+});
+
+/**
+ * Run a program in the interpreter and as a WebAssembly module.
+ *
+ * @param mnemonics the program, as mnemonics
+ * @param options the options of the interpreter and of the compiler
+ * @param input the lines to read
+ * @returns the outcomes of the interpreter and of the module, each
+ *   with its `result` and `output`
+ */
+const both = async function (mnemonics, options, input) {
+    const source = AWA5.assemble(mnemonics);
+
+    const interpreted = { output: [] };
+    const awa5 = new AWA5(options);
+    awa5.setInputReader(AWA5.reader({ buffer: input })).setOutputWriter(AWA5.writer({ buffer: interpreted.output }));
+    interpreted.result = await awa5.run(source);
+
+    const compiled = { output: [] };
+    const program = await AWA5.compileToWasm(source, options);
+    compiled.result = await program(AWA5.reader({ buffer: input }), AWA5.writer({ buffer: compiled.output }));
+
+    return [interpreted, compiled];
+};
+
+/**
+ * Describe an outcome with plain values, errors included.
+ *
+ * @param outcome the outcome of a run
+ * @returns an object to compare
+ */
+const plain = function (outcome) {
+    const r = outcome.result;
+    const e = r.error;
+
+    return {
+        status: r.status,
+        value: r.value,
+        operationsExecuted: r.operationsExecuted,
+        finalAbyss: r.finalAbyss,
+        error: (null === e) ? null : {
+            name: e.name,
+            message: e.message,
+            cursor: e.cursor,
+        },
+        output: outcome.output,
+    };
+};
+
+test('numeric programs run the same as interpreted', async () => {
+    const programs = [
+        'BLO 5\nBLO 3\n4DD\nPR1',
+        'BLO 7\nBLO 2\nSUB\nBLO 3\nMUL\nPR1',
+        'BLO 1\nBLO 2\nBLO 3\nSBM 0\nSBM 1\nPR1\nPR1\nPR1',
+        'BLO 3\nLBL 1\nDPL\nPR1\nBLO 1\nSUB\nEQZ 2\nJMP 1\nLBL 2\nTRM\nPR1',
+        'BLO 1\nBLO 2\nLSS 1\nGR8 1\nEQL 1\nBLO 9\nLBL 1\nPR1',
+        'BLO 1\nBLO 2\nCNT\nPOP\nDPL\nPR1',
+        'BLO 20\nBLO 12\nPRN\nPRN',
+        'R3D\nR3D\n4DD\nPR1',
+        'BLO 1\nJMP 3\nPR1',
+        'PRN',
+        'SBM 3',
+        'POP',
+        'BLO 64\nPRN',
+        'LBL 1\nBLO 1\nPOP\nJMP 1',
+    ];
+
+    for (let mnemonics of programs) {
+        const [interpreted, compiled] = await both(mnemonics, { limits: { operations: 100 } }, ['3', '-4.5']);
+        assert.deepEqual(plain(compiled), plain(interpreted), mnemonics);
+    }
+});
+
+test('operations making double bubbles or strings are refused', async () => {
+    for (let mnemonics of ['RED', 'BLO 1\nBLO 2\nSRN 2', 'BLO 1\nBLO 2\nMRG', 'BLO 1\nBLO 2\nDIV']) {
+        await assert.rejects(AWA5.compileToWasm(AWA5.assemble(mnemonics)), TypeError, mnemonics);
+    }
+});
+
+test('numeric modes other than numbers are refused', async () => {
+    const source = AWA5.assemble('BLO 1\nPR1');
+    for (let numeric of ['bigint', 'int32']) {
+        await assert.rejects(AWA5.compileToWasm(source, { numeric: numeric }), RangeError);
+    }
+    await assert.rejects(AWA5.compileToWasm('nope'), SyntaxError);
+});
+
+test('the module and its bytes are given with the program', async () => {
+    const program = await AWA5.compileToWasm(AWA5.assemble('BLO 1\nPR1'));
+    assert.ok(program.module instanceof WebAssembly.Module);
+    assert.ok(program.bytes instanceof Uint8Array);
+    assert.ok(WebAssembly.validate(program.bytes));
+});
+
+test('programs can be run again', async () => {
+    const program = await AWA5.compileToWasm(AWA5.assemble('R3D\nBLO 2\nMUL\nDPL\nPR1'));
+    const reader = AWA5.reader({ buffer: ['21'] });
+    const output = [];
+    const writer = AWA5.writer({ buffer: output });
+
+    for (let i=0; i<2; ++i) {
+        const result = await program(reader, writer);
+        assert.equal(result.status, 'ok');
+        assert.equal(result.value, 42);
+    }
+    assert.deepEqual(output, ['42', '42']);
+});
@@ -0,0 +1,138 @@
+// Copyright 2023 Starknight Group
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+
+/**
+ * Check programs run in a worker thread.
+ *
+ * Run with `npm test`; every test starts its own worker.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import AWA5, { OpcodeError, LimitError, TimeoutError } from '../awa5.js';
+
+test('input and output go through the main thread', async () => {
+    const output = [];
+    const result = await AWA5.runInWorker(AWA5.assemble('RED\nR3D\nR3D\n4DD\nPR1\nPRN'), {
+        reader: AWA5.reader({ buffer: ['Awa', '3', '4'] }),
+        writer: AWA5.writer({ buffer: output }),
+    });
+
+    assert.equal(result.status, 'ok');
+    assert.deepEqual(output, ['7', 'Awa']);
+});
+
+test('slow writers get every line, in order', async () => {
+    const output = [];
+    const writer = {
+        write: (line) => (new Promise((resolve) => {
+            setTimeout(() => {
+                output.push(line);
+                resolve();
+            }, 1);
+        })),
+    };
+
+    const result = await AWA5.runInWorker(AWA5.assemble('BLO 40\nLBL 1\nDPL\nPR1\nBLO 1\nSBM 1\nSUB\nEQZ 2\nJMP 1\nLBL 2'), {
+        writer: writer,
+    });
+
+    assert.equal(result.status, 'ok');
+    assert.equal(output.length, 40);
+    assert.equal(output[0], '40');
+    assert.equal(output[39], '1');
+});
+
+test('failing writers fail the run', async () => {
+    const writer = {
+        write: () => (Promise.reject(new Error('closed'))),
+    };
+
+    await assert.rejects(AWA5.runInWorker(AWA5.assemble('BLO 1\nPR1'), { writer: writer }), /closed/);
+});
+
+test('errors of the program are revived', async () => {
+    const operation = await AWA5.runInWorker(AWA5.assemble('BLO 1\nPOP\nPOP'));
+    assert.equal(operation.status, 'error');
+    assert.ok(operation.error instanceof OpcodeError);
+    assert.equal(operation.error.cursor, 3);
+    assert.match(operation.error.message, /not enough bubbles/);
+
+    const limit = await AWA5.runInWorker(AWA5.assemble('LBL 1\nJMP 1'), { limits: { operations: 50 } });
+    assert.equal(limit.status, 'error');
+    assert.ok(limit.error instanceof LimitError);
+    assert.equal(limit.error.limit, 'operations');
+});
+
+test('endless programs are out of time', async () => {
+    const started = Date.now();
+    await assert.rejects(AWA5.runInWorker(AWA5.assemble('LBL 1\nJMP 1'), { limits: false, timeout: 200 }), (e) => {
+        assert.ok(e instanceof TimeoutError);
+        assert.equal(e.timeout, 200);
+        return true;
+    });
+    assert.ok(Date.now() - started < 5000);
+});
+
+test('pending reads are aborted when out of time', async () => {
+    let aborted = false;
+    const reader = {
+        read: (signal) => (new Promise(() => {
+            signal.addEventListener('abort', () => { aborted = true; });
+        })),
+        reset: () => {},
+    };
+
+    await assert.rejects(AWA5.runInWorker(AWA5.assemble('RED'), { reader: reader, timeout: 200 }), TimeoutError);
+    assert.equal(aborted, true);
+});
+
+test('options are given to the worker', async () => {
+    const big = AWA5.assemble('BLO 100\nBLO 100\nMUL\nDPL\nMUL\nDPL\nMUL');
+    const numeric = await AWA5.runInWorker(big, { numeric: 'bigint' });
+    assert.deepEqual(numeric, await new AWA5({ numeric: 'bigint' }).run(big));
+    assert.equal(numeric.value, 10n ** 16n);
+
+    const original = AWA5.assemble('BLO 1\nBLO 1\nEQL\nBLO 7\nPR1\nBLO 8\nPR1', { dialect: 'original' });
+    const dialect = { output: [] };
+    await AWA5.runInWorker(original, { dialect: 'original', writer: AWA5.writer({ buffer: dialect.output }) });
+    assert.deepEqual(dialect.output, ['7', '8']);
+
+    const output = [];
+    const result = await AWA5.runInWorker(AWA5.assemble('BLO 1\nBLO 2\nSRN 2\nDPL\nPRN'), {
+        charset: AWA5.charset('xyzw'),
+        writer: AWA5.writer({ buffer: output }),
+    });
+    assert.deepEqual(result.finalAbyss, [[1, 2]]);
+    assert.deepEqual(output, ['yz']);
+});
+
+test('invalid options are refused', async () => {
+    const source = AWA5.assemble('BLO 1');
+    for (let timeout of [0, -1, NaN, '100']) {
+        await assert.rejects(AWA5.runInWorker(source, { timeout: timeout }), RangeError);
+    }
+    await assert.rejects(AWA5.runInWorker(source, { compare: () => (0) }), TypeError);
+    await assert.rejects(AWA5.runInWorker(source, { numeric: 'int3' }), RangeError);
+});
+
+test('nested double bubbles are returned as plain values', async () => {
+    const source = AWA5.assemble('BLO 1\nBLO 2\nSRN 2\nBLO 3\nSRN 2');
+
+    assert.deepEqual((await new AWA5().run(source)).value, [[1, 2], 3]);
+    assert.deepEqual((await AWA5.compile(source)()).value, [[1, 2], 3]);
+    assert.deepEqual((await AWA5.runInWorker(source)).value, [[1, 2], 3]);
+});